@@ -1,7 +1,10 @@
 from flask import Flask, jsonify, request
 from flask_cors import CORS
 from flask_socketio import SocketIO, emit, join_room
+import functools
+import secrets
 import socket
+import time
 import uuid
 
 app = Flask(__name__)
@@ -11,6 +14,15 @@ socketio = SocketIO(app, cors_allowed_origins="*", async_mode='threading')
 sessions = {}
 socket_map = {}
 
+# A race takes up to this many phones on one desktop
+MAX_RACERS = 4
+# Wrong PINs one client address may try before it's locked out, and one session may take before its PIN changes
+MAX_PIN_TRIES = 5
+# Seconds a client address is refused after too many wrong PINs
+PIN_LOCKOUT = 60
+pin_failures = {}  # client address -> (wrong PINs since its last lockout or success, when it last got one wrong)
+pin_lockouts = {}  # client address -> when its lockout ends
+
 
 def get_local_ip():
     """Get the local IP address of this machine on the network."""
@@ -29,58 +41,448 @@ def get_local_ip():
 def create_session():
     session_id = str(uuid.uuid4())[:8]
     ip = get_local_ip()
-    sessions[session_id] = {'players': [], 'status': 'waiting'}
-    return jsonify({'sessionId': session_id, 'ip': ip, 'port': 5173})
+    # The PIN is shown next to the QR code and pairs phones; the host key lets only this desktop host.
+    # Each role is bound to the socket that joined as it: solo runs have one controller, races one per player.
+    # While a solo run is on, only its runner's phone may join as the solo controller
+    sessions[session_id] = {
+        'players': [], 'status': 'waiting',
+        'id': session_id, 'pin': new_pin(), 'pinFailures': 0, 'hostKey': secrets.token_hex(8),
+        'host': None, 'controller': None, 'racers': {}, 'guardian': None, 'runner': None, 'playerKeys': {}
+    }
+    return jsonify({
+        'sessionId': session_id, 'ip': ip, 'port': 5173,
+        'pin': sessions[session_id]['pin'], 'hostKey': sessions[session_id]['hostKey']
+    })
+
+
+def new_pin():
+    return f'{secrets.randbelow(10000):04d}'
+
+
+def wrong_pin(session):
+    """Count a wrong PIN against the client's address and the session. Returns whether the address is now
+    locked out. Too many against one session change its PIN, so the guesses made so far are worth nothing;
+    the new PIN goes to the host screen and the phones already paired."""
+    ip = request.remote_addr
+    now = time.time()
+    forget_old_tries(now)
+    tries = pin_failures.get(ip, (0, now))[0] + 1
+    locked = tries >= MAX_PIN_TRIES
+    if locked:
+        pin_lockouts[ip] = now + PIN_LOCKOUT
+        tries = 0
+    pin_failures[ip] = (tries, now)
+    session['pinFailures'] += 1
+    if session['pinFailures'] >= MAX_PIN_TRIES:
+        session['pin'] = new_pin()
+        session['pinFailures'] = 0
+        emit('session_pin', {'pin': session['pin']}, room=session['id'])
+    return locked
+
+
+def pair(session, data):
+    """The player id a phone plays as. The server issues it, with a key only that phone is told, the first time
+    the phone's PIN works; joining again with both comes back as the same player. Returns None for a rejoin
+    that can't show the key, so no phone can pick up another's id."""
+    player_id = data.get('playerId')
+    key = data.get('playerKey')
+    if key and session['playerKeys'].get(player_id) == key:
+        return player_id
+    if data.get('rejoin'):
+        return None
+    player_id = secrets.token_hex(4)
+    session['playerKeys'][player_id] = secrets.token_hex(8)
+    emit('paired', {'playerId': player_id, 'playerKey': session['playerKeys'][player_id]})
+    return player_id
+
+
+def locked_out(ip):
+    """Whether this address is still locked out; a lockout that has run out is forgotten."""
+    until = pin_lockouts.get(ip)
+    if until is None:
+        return False
+    if until > time.time():
+        return True
+    del pin_lockouts[ip]
+    return False
+
+
+def forget_old_tries(now):
+    """Drop lockouts that have run out and wrong PINs nobody followed up for a lockout's length, so addresses
+    that tried once and left don't pile up."""
+    for ip in [ip for ip, until in pin_lockouts.items() if until <= now]:
+        del pin_lockouts[ip]
+    for ip in [ip for ip, (_, last) in pin_failures.items() if now - last > PIN_LOCKOUT]:
+        del pin_failures[ip]
+
+
+def spectators_room(session_id):
+    return f'{session_id}:spectators'
+
+
+def count_spectators(session_id):
+    return sum(1 for info in socket_map.values() if info['sessionId'] == session_id and info['role'] == 'spectator')
+
+
+def bound_player(sid):
+    """The player id a socket joined with — phones can't speak for anyone else."""
+    info = socket_map.get(sid)
+    return info['playerId'] if info else None
+
+
+def controller_sid(session_id, player_id):
+    """The socket of the phone playing as this player id, if it's connected."""
+    for sid, info in socket_map.items():
+        if info['sessionId'] == session_id and info['role'] == 'controller' and info['playerId'] == player_id:
+            return sid
+    return None
+
+
+def sender_role(session_id):
+    """What this socket is to the session: 'host', 'controller' or 'guardian' — None for anyone else,
+    spectators and sockets that never paired included."""
+    session = sessions.get(session_id)
+    if session is None:
+        return None
+    sid = request.sid
+    if sid == session['host']:
+        return 'host'
+    if sid == session['controller'] or sid in session['racers'].values():
+        return 'controller'
+    if sid == session['guardian']:
+        return 'guardian'
+    return None
+
+
+def unbind(session, sid):
+    """Free every role this socket holds in the session."""
+    for role in ('host', 'controller', 'guardian'):
+        if session[role] == sid:
+            session[role] = None
+    for player_id, racer_sid in list(session['racers'].items()):
+        if racer_sid == sid:
+            del session['racers'][player_id]
+
+
+def only(*roles):
+    """Drop an event unless it comes from the socket bound to one of these roles in its session."""
+    def decorate(handler):
+        @functools.wraps(handler)
+        def wrapper(data):
+            if sender_role(data.get('sessionId')) not in roles:
+                return
+            return handler(data)
+        return wrapper
+    return decorate
 
 
 @socketio.on('join_session')
 def handle_join(data):
     session_id = data.get('sessionId')
     role = data.get('role')
-    join_room(session_id)
     from flask import request as freq
-    socket_map[freq.sid] = {'sessionId': session_id, 'role': role}
+    player_id = None
+
+    # Unknown sessions, other desktops and phones without the PIN are turned away, and told why
+    session = sessions.get(session_id)
+    if session is None:
+        emit('join_error', {'reason': 'unknown_session'})
+        return
+    if role == 'desktop':
+        if data.get('hostKey') != session['hostKey']:
+            emit('join_error', {'reason': 'not_host'})
+            return
+        session['host'] = freq.sid
+    elif role in ('controller', 'guardian'):
+        if locked_out(freq.remote_addr):
+            emit('join_error', {'reason': 'too_many_tries'})
+            return
+        if str(data.get('pin', '')) != session['pin']:
+            emit('join_error', {'reason': 'too_many_tries' if wrong_pin(session) else 'bad_pin'})
+            return
+        pin_failures.pop(freq.remote_addr, None)
+        player_id = pair(session, data)
+        if player_id is None:
+            emit('join_error', {'reason': 'not_paired'})
+            return
+
+    if role == 'controller':
+        if not data.get('race') and session['runner'] not in (None, player_id):
+            emit('join_error', {'reason': 'run_in_progress'})
+            return
+        # Track the session's phones by player id, turning away racers past the limit
+        if player_id not in session['players']:
+            if data.get('race') and len(session['players']) >= MAX_RACERS:
+                emit('session_full', {'max': MAX_RACERS})
+                return
+            session['players'].append(player_id)
+        # A racer steers their own runner; a solo phone takes the run over from whoever had it
+        unbind(session, freq.sid)
+        if data.get('race'):
+            session['racers'][player_id] = freq.sid
+        else:
+            session['controller'] = freq.sid
+    elif role == 'guardian':
+        # A phone turned guardian keeps none of the controls it had
+        unbind(session, freq.sid)
+        session['guardian'] = freq.sid
+
+    if role == 'spectator':
+        # Spectators get their own room: the host's state stream and nothing the phones send
+        join_room(spectators_room(session_id))
+        socket_map[freq.sid] = {'sessionId': session_id, 'role': role, 'playerId': None}
+        emit('spectators', {'count': count_spectators(session_id)}, room=session_id)
+        return
+
+    join_room(session_id)
+    socket_map[freq.sid] = {'sessionId': session_id, 'role': role, 'playerId': player_id}
 
     if role == 'controller':
         name = data.get('name', 'Player')
-        emit('player_joined', {'name': name}, room=session_id)
+        emit('player_joined', {
+            'playerId': player_id,
+            'race': data.get('race', False),
+            'name': name,
+            'mode': data.get('mode', 'free'),
+            'seed': data.get('seed'),
+            'ghost': data.get('ghost', False),
+            'look': data.get('look'),
+            'character': data.get('character'),
+            'quality': data.get('quality'),
+            'rejoin': data.get('rejoin', False)
+        }, room=session_id)
+    elif role == 'guardian':
+        emit('guardian_joined', {
+            'playerId': player_id,
+            'name': data.get('name', 'Guardian')
+        }, room=session_id, include_self=False)
     elif role == 'desktop':
         emit('desktop_ready', {'sessionId': session_id}, room=session_id)
 
 
 @socketio.on('control')
+@only('controller')
 def handle_control(data):
     session_id = data.get('sessionId')
-    emit('control', {'direction': data['direction']}, room=session_id, include_self=False)
+    emit('control', {
+        'direction': data['direction'],
+        'playerId': bound_player(request.sid)
+    }, room=session_id, include_self=False)
 
 
 @socketio.on('start_game')
+@only('controller')
 def handle_start(data):
     session_id = data.get('sessionId')
     emit('game_started', {}, room=session_id)
 
 
 @socketio.on('end_game')
+@only('host', 'controller')
 def handle_end(data):
     session_id = data.get('sessionId')
-    score = data.get('score', 0)
-    coins = data.get('coins', 0)
-    emit('game_ended', {'score': score, 'coins': coins}, room=session_id)
+    sessions[session_id]['runner'] = None
+    payload = ended_payload(data)
+    # A phone only ever ends its own run
+    if sender_role(session_id) == 'controller':
+        payload['playerId'] = bound_player(request.sid)
+    emit('game_ended', payload, room=session_id)
+
+
+@socketio.on('run_started')
+@only('host')
+def handle_run_started(data):
+    """The host took a phone's solo run; until it ends, no other phone can take the controls over."""
+    sessions[data.get('sessionId')]['runner'] = data.get('playerId')
+
+
+@socketio.on('resend_end')
+@only('host')
+def handle_resend_end(data):
+    """The host repeats a finished run's result to the one phone that missed it, and nobody else."""
+    target = controller_sid(data.get('sessionId'), data.get('playerId'))
+    if target:
+        emit('game_ended', ended_payload(data), room=target)
+
+
+def ended_payload(data):
+    return {
+        'playerId': data.get('playerId'),
+        'score': data.get('score', 0),
+        'coins': data.get('coins', 0),
+        'seed': data.get('seed'),
+        'mode': data.get('mode'),
+        'best': data.get('best'),
+        'breakdown': data.get('breakdown'),
+        'results': data.get('results')
+    }
 
 
 @socketio.on('score_update')
+@only('host')
 def handle_score(data):
     session_id = data.get('sessionId')
     emit('score_update', {
+        'playerId': data.get('playerId'),
         'score': data.get('score', 0),
-        'coins': data.get('coins', 0)
+        'coins': data.get('coins', 0),
+        'distance': data.get('distance', 0),
+        'combo': data.get('combo', 1)
+    }, room=session_id, include_self=False)
+
+
+@socketio.on('race_lobby')
+@only('host')
+def handle_race_lobby(data):
+    session_id = data.get('sessionId')
+    emit('race_lobby', {
+        'players': data.get('players', []),
+        'hostId': data.get('hostId')
     }, room=session_id, include_self=False)
 
 
+@socketio.on('race_start')
+@only('controller')
+def handle_race_start(data):
+    session_id = data.get('sessionId')
+    emit('race_start', {'playerId': bound_player(request.sid)}, room=session_id, include_self=False)
+
+
+@socketio.on('race_leave')
+@only('controller')
+def handle_race_leave(data):
+    session_id = data.get('sessionId')
+    player_id = bound_player(request.sid)
+    session = sessions.get(session_id)
+    if session is not None and player_id in session['players']:
+        session['players'].remove(player_id)
+    emit('race_leave', {'playerId': player_id}, room=session_id, include_self=False)
+
+
+@socketio.on('race_started')
+@only('host')
+def handle_race_started(data):
+    session_id = data.get('sessionId')
+    emit('race_started', {}, room=session_id, include_self=False)
+
+
+@socketio.on('guardian_action')
+@only('guardian')
+def handle_guardian_action(data):
+    session_id = data.get('sessionId')
+    emit('guardian_action', {
+        'action': data.get('action'),
+        'lane': data.get('lane', 0)
+    }, room=session_id, include_self=False)
+
+
+@socketio.on('guardian_state')
+@only('host')
+def handle_guardian_state(data):
+    session_id = data.get('sessionId')
+    emit('guardian_state', {
+        'active': data.get('active', False),
+        'energy': data.get('energy', 0),
+        'result': data.get('result')
+    }, room=session_id, include_self=False)
+
+
+@socketio.on('guardian_leave')
+@only('guardian')
+def handle_guardian_leave(data):
+    session_id = data.get('sessionId')
+    emit('guardian_left', {}, room=session_id, include_self=False)
+
+
 @socketio.on('restart_game')
+@only('controller')
 def handle_restart(data):
     session_id = data.get('sessionId')
-    emit('restart_game', {}, room=session_id, include_self=False)
+    emit('restart_game', {
+        'mode': data.get('mode', 'free'),
+        'seed': data.get('seed'),
+        'ghost': data.get('ghost', False),
+        'look': data.get('look'),
+        'character': data.get('character'),
+        'quality': data.get('quality')
+    }, room=session_id, include_self=False)
+
+
+@socketio.on('watch_replay')
+@only('controller')
+def handle_watch_replay(data):
+    session_id = data.get('sessionId')
+    emit('watch_replay', {}, room=session_id, include_self=False)
+
+
+@socketio.on('pause_game')
+@only('controller')
+def handle_pause(data):
+    session_id = data.get('sessionId')
+    emit('pause_game', {}, room=session_id, include_self=False)
+
+
+@socketio.on('resume_game')
+@only('controller')
+def handle_resume(data):
+    session_id = data.get('sessionId')
+    emit('resume_game', {}, room=session_id, include_self=False)
+
+
+@socketio.on('pause_state')
+@only('host')
+def handle_pause_state(data):
+    session_id = data.get('sessionId')
+    emit('pause_state', {
+        'paused': data.get('paused', False),
+        'reason': data.get('reason'),
+        'countdown': data.get('countdown', 0)
+    }, room=session_id, include_self=False)
+
+
+@socketio.on('graphics_state')
+@only('host')
+def handle_graphics_state(data):
+    session_id = data.get('sessionId')
+    emit('graphics_state', {'lost': data.get('lost', False)}, room=session_id, include_self=False)
+
+
+@socketio.on('revive_offer')
+@only('host')
+def handle_revive_offer(data):
+    session_id = data.get('sessionId')
+    emit('revive_offer', {'offer': data.get('offer')}, room=session_id, include_self=False)
+
+
+@socketio.on('revive')
+@only('controller')
+def handle_revive(data):
+    session_id = data.get('sessionId')
+    emit('revive', {}, room=session_id, include_self=False)
+
+
+@socketio.on('revive_decline')
+@only('controller')
+def handle_revive_decline(data):
+    session_id = data.get('sessionId')
+    emit('revive_decline', {}, room=session_id, include_self=False)
+
+
+@socketio.on('missions_update')
+@only('host')
+def handle_missions(data):
+    session_id = data.get('sessionId')
+    emit('missions_update', {
+        'missions': data.get('missions', []),
+        'achievements': data.get('achievements')
+    }, room=session_id, include_self=False)
+
+
+@socketio.on('spectate_state')
+@only('host')
+def handle_spectate_state(data):
+    session_id = data.get('sessionId')
+    emit('spectate_state', data.get('state', {}), room=spectators_room(session_id))
 
 
 @socketio.on('disconnect')
@@ -88,9 +490,20 @@ def handle_disconnect():
     from flask import request as freq
     sid = freq.sid
     info = socket_map.pop(sid, None)
-    if info and info['role'] == 'controller':
+    session = sessions.get(info['sessionId']) if info else None
+    # Only the phone still steering counts as dropping out — not a stale tab whose role has moved on
+    was_controller = session is not None and (session['controller'] == sid or sid in session['racers'].values())
+    if session is not None:
+        unbind(session, sid)
+    if was_controller:
         session_id = info['sessionId']
-        emit('controller_disconnected', {}, room=session_id)
+        if info['playerId'] in session['players']:
+            session['players'].remove(info['playerId'])
+        emit('controller_disconnected', {'playerId': info['playerId']}, room=session_id)
+    elif info and info['role'] == 'guardian':
+        emit('guardian_left', {}, room=info['sessionId'])
+    elif info and info['role'] == 'spectator':
+        emit('spectators', {'count': count_spectators(info['sessionId'])}, room=info['sessionId'])
 
 
 if __name__ == '__main__':
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
 import DesktopPage from './pages/DesktopPage'
 import MobilePage from './pages/MobilePage'
+import SpectatorPage from './pages/SpectatorPage'
 
 function App() {
-    const [view, setView] = useState(null) // 'desktop' or 'mobile'
+    const [view, setView] = useState(null) // 'desktop', 'mobile' or 'spectator'
     const [sessionId, setSessionId] = useState(null)
+    const [pin, setPin] = useState(null) // the session's pairing PIN, when the QR code carried it
 
     useEffect(() => {
         const params = new URLSearchParams(window.location.search)
@@ -14,6 +16,10 @@ function App() {
         if (path === '/controller' && session) {
             setView('mobile')
             setSessionId(session)
+            setPin(params.get('pin'))
+        } else if (path === '/spectate' && session) {
+            setView('spectator')
+            setSessionId(session)
         } else {
             setView('desktop')
         }
@@ -22,7 +28,11 @@ function App() {
     if (!view) return null
 
     if (view === 'mobile') {
-        return <MobilePage sessionId={sessionId} />
+        return <MobilePage sessionId={sessionId} pin={pin} />
+    }
+
+    if (view === 'spectator') {
+        return <SpectatorPage sessionId={sessionId} />
     }
 
     return <DesktopPage />
@@ -0,0 +1,22 @@
+/**
+ * Relic Rush — Mission list
+ * The three active missions with progress bars; `compact` is the slim version shown while running.
+ */
+export default function MissionList({ missions, compact = false }) {
+    return (
+        <div className={`mission-list ${compact ? 'compact' : ''}`}>
+            {!compact && <div className="mission-heading">Missions</div>}
+            {missions.map(m => (
+                <div className="mission" key={m.id}>
+                    <div className="mission-row">
+                        <span className="mission-label">{m.label}</span>
+                        <span className="mission-count">
+                            {Number.isInteger(m.progress) ? m.progress.toLocaleString() : m.progress.toFixed(1)}/{m.target.toLocaleString()}
+                        </span>
+                    </div>
+                    <div className="mission-bar"><div style={{ width: `${Math.min(100, (m.progress / m.target) * 100)}%` }} /></div>
+                </div>
+            ))}
+        </div>
+    )
+}
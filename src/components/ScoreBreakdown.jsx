@@ -0,0 +1,27 @@
+/**
+ * Relic Rush — Score breakdown
+ * Where the final score came from, shown on the desktop and phone game-over cards.
+ */
+export default function ScoreBreakdown({ breakdown }) {
+    const rows = [
+        ['Distance', `${breakdown.distance.toLocaleString()}M`, breakdown.distancePoints],
+        ['Coins', `${breakdown.coins}`, breakdown.coinPoints],
+        ['Best Combo', `x${breakdown.bestCombo.toFixed(1)}`, null],
+    ]
+    return (
+        <div className="score-breakdown">
+            {rows.map(([label, amount, points]) => (
+                <div className="breakdown-row" key={label}>
+                    <span className="breakdown-label">{label}</span>
+                    <span className="breakdown-amount">{amount}</span>
+                    <span className="breakdown-points">{points != null ? `+${points.toLocaleString()}` : ''}</span>
+                </div>
+            ))}
+            <div className="breakdown-row breakdown-total">
+                <span className="breakdown-label">Total</span>
+                <span className="breakdown-amount" />
+                <span className="breakdown-points">{breakdown.total.toLocaleString()}</span>
+            </div>
+        </div>
+    )
+}
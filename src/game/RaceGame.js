@@ -0,0 +1,177 @@
+import * as THREE from 'three'
+import * as sounds from '../sounds'
+import RelicRushGame, { setupRenderer } from './RelicRushGame'
+import { QUALITY_PRESETS, readLevel, readQuality } from './quality'
+import { randomSeed } from './random'
+
+/**
+ * Relic Rush — Race
+ * Two to four phones on one desktop, each steering its own runner in its own viewport. Every runner gets
+ * a full game on the same seed, so they all face the same course. RaceGame stands in for a single game on
+ * the page — pausing, resuming and ending apply to every runner — while inputs are routed to one runner
+ * by player id. Revives are off; the race is over once the last runner is out, and places go by distance,
+ * then score.
+ *
+ * The runners share one WebGL renderer: a canvas behind the whole grid, which each game draws into through
+ * a scissored viewport over its own cell. Races always draw on the main thread — one canvas can't be split
+ * between worker games — and the pixel ratio stays at the starting quality level for the whole race.
+ */
+
+export const MIN_RACERS = 2
+export const MAX_RACERS = 4
+
+const noop = () => {}
+
+export default class RaceGame {
+    // grid: the element holding every cell. cells: one container per racer, in the racers' order.
+    // racers: [{ id, name, look, character }]
+    constructor(grid, cells, racers, callbacks = {}, options = {}) {
+        this.grid = grid
+        this.cells = cells
+        this.callbacks = callbacks
+        this.seed = options.seed ?? randomSeed()
+        // Runners whose run has ended
+        this.down = new Set()
+        this.paused = false
+
+        const quality = readQuality(options.quality)
+        const preset = QUALITY_PRESETS[quality === 'auto' ? readLevel(options.qualityLevel) : quality]
+        this.renderer = new THREE.WebGLRenderer({ antialias: preset.antialias, powerPreference: 'high-performance' })
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio))
+        this.renderer.setScissorTest(true)
+        setupRenderer(this.renderer)
+        const canvas = this.renderer.domElement
+        canvas.style.position = 'absolute'; canvas.style.top = '0'; canvas.style.left = '0'
+        grid.prepend(canvas)
+        this._layout()
+        this._onResize = () => this._layout()
+        window.addEventListener('resize', this._onResize)
+
+        this.runners = racers.map((racer, i) => ({
+            ...racer,
+            result: null,
+            game: new RelicRushGame(cells[i], this._runnerCallbacks(racer.id), {
+                ...options, seed: this.seed, look: racer.look, character: racer.character, worker: false,
+                ghost: null, replay: null, revives: false, sounds: this._runnerSounds(racer.id, i === 0),
+                view: { renderer: this.renderer, draw: (scene, camera) => this._draw(i, scene, camera) }
+            })
+        }))
+        this.sim = this.runners[0].game.sim
+    }
+
+    // Size the shared canvas to the grid and note where each cell sits on it
+    _layout() {
+        const box = this.grid.getBoundingClientRect()
+        this.renderer.setSize(box.width, box.height)
+        // Viewports count up from the canvas's bottom edge
+        this.viewports = this.cells.map(cell => {
+            const r = cell.getBoundingClientRect()
+            return { x: r.left - box.left, y: box.bottom - r.bottom, w: r.width, h: r.height }
+        })
+    }
+
+    // One runner's frame, kept to its own cell
+    _draw(i, scene, camera) {
+        const v = this.viewports[i]
+        this.renderer.setViewport(v.x, v.y, v.w, v.h)
+        this.renderer.setScissor(v.x, v.y, v.w, v.h)
+        this.renderer.render(scene, camera)
+    }
+
+    // The first runner still going speaks for the race: its pause state and its footsteps
+    _speaks(id) {
+        const runner = this.runners.find(r => !this.down.has(r.id))
+        return !!runner && runner.id === id
+    }
+
+    // Every runner reports its own score and finish
+    _runnerCallbacks(id) {
+        const { onRacerUpdate, onPauseChange, onGraphicsChange } = this.callbacks
+        return {
+            onScoreUpdate: (score, coins, stats) => { if (onRacerUpdate) onRacerUpdate(id, { score, coins, distance: stats.distance }) },
+            onGameOver: (score, coins) => this._finish(id, score, coins),
+            onPauseChange: (state) => {
+                if (!this._speaks(id)) return
+                this.paused = state.paused
+                if (onPauseChange) onPauseChange(state)
+            },
+            onGraphicsChange: onGraphicsChange || noop,
+        }
+    }
+
+    // Effects play for every runner, but footsteps and breathing only for one, and the music runs from the
+    // first runner's start until the race is over
+    _runnerSounds(id, lead) {
+        return {
+            ...sounds,
+            playFootstep: () => { if (this._speaks(id)) sounds.playFootstep() },
+            playBreathing: () => { if (this._speaks(id)) sounds.playBreathing() },
+            startBgMusic: lead ? sounds.startBgMusic : noop,
+            stopBgMusic: noop,
+        }
+    }
+
+    // A runner is down once its game is over
+    _finish(id, score, coins) {
+        const runner = this.runners.find(r => r.id === id)
+        if (!runner || runner.result) return
+        this.down.add(id)
+        runner.result = { score, coins, distance: Math.floor(runner.game.sim.dist) }
+        if (this.callbacks.onRacerOut) this.callbacks.onRacerOut(id, runner.result)
+        if (!this.runners.every(r => r.result)) return
+        sounds.stopBgMusic()
+        if (this.callbacks.onRaceOver) this.callbacks.onRaceOver(this.placings())
+    }
+
+    // Finished runners by distance, then score: [{ playerId, name, score, coins, distance, place }]
+    placings() {
+        return this.runners.filter(r => r.result)
+            .sort((a, b) => b.result.distance - a.result.distance || b.result.score - a.result.score)
+            .map((r, i) => ({ playerId: r.id, name: r.name, ...r.result, place: i + 1 }))
+    }
+
+    // The runner a phone steers, or null for a player who isn't racing
+    forPlayer(id) {
+        const runner = this.runners.find(r => r.id === id)
+        return runner ? runner.game : null
+    }
+
+    // Whether a player's runner is still going
+    isRacing(id) {
+        return this.runners.some(r => r.id === id) && !this.down.has(id)
+    }
+
+    // === SINGLE-GAME STAND-IN ===
+    start() { for (const r of this.runners) r.game.start() }
+    pause(reason) { this.paused = true; for (const r of this.runners) r.game.pause(reason) }
+    resume() { this.paused = false; for (const r of this.runners) r.game.resume() }
+    // Toggled as one, so runners can't end up half paused
+    togglePause() { if (this.paused) this.resume(); else this.pause() }
+    endGame() { for (const r of this.runners) if (!r.result) r.game.endGame() }
+
+    // The keyboard steers the first runner
+    moveLeft() { this.runners[0].game.moveLeft() }
+    moveRight() { this.runners[0].game.moveRight() }
+    jump() { this.runners[0].game.jump() }
+    slide() { this.runners[0].game.slide() }
+
+    isReplay() { return false }
+
+    // The renderer's counts already cover every runner
+    memoryStats() {
+        if (!this.runners.length) return { geometries: 0, textures: 0, held: 0, games: 0 }
+        const stats = this.runners.map(r => r.game.memoryStats())
+        return { ...stats[0], held: stats.reduce((n, s) => n + s.held, 0) }
+    }
+
+    destroy() {
+        if (!this.renderer) return
+        for (const r of this.runners) r.game.destroy()
+        this.runners = []
+        window.removeEventListener('resize', this._onResize)
+        this.renderer.dispose()
+        this.renderer.forceContextLoss()
+        this.renderer.domElement.remove()
+        this.renderer = null
+    }
+}
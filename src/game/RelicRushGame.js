@@ -1,36 +1,91 @@
 import * as THREE from 'three'
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
-import { playCollision, playGameOver, playParachuteWind, playLanding, startBgMusic, stopBgMusic, playFootstep, playBreathing } from '../sounds'
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js'
+import * as sounds from '../sounds'
+import { createRngStream } from './random'
+import RunSimulation, { FIXED_DT, CORNER_TYPES } from './Simulation'
+import { BIOMES, BLEND_TILES, biomeIndexForLevel, mixPalette } from './biomes'
+import { POWER_UPS } from './powerups'
+import { GUARDIAN_ACTIONS } from './guardian'
+import { cosmeticItem, readLook } from './cosmetics'
+import { CHARACTERS, mapClips, readCharacter } from './characters'
+import RunnerAnimator from './animator'
+import { QUALITY_PRESETS, QualityGovernor, readQuality } from './quality'
+import InstancedProps, { partMatrix, setPartColor } from './instancing'
+import { SCENERY, cloneModel, loadModel } from './assets'
+import ResourceRegistry from './resources'
 
 /**
  * Relic Rush — Advanced 3D Temple Runner
  * Inspired by Temple Run: stone path, ancient ruins, water, archways, vines
  */
+// Canvas textures are drawn on an OffscreenCanvas when there's no document (rendering in a worker)
+function makeCanvas(w, h) {
+    if (typeof document === 'undefined') return new OffscreenCanvas(w, h)
+    const c = document.createElement('canvas'); c.width = w; c.height = h
+    return c
+}
+
+// Shadows and tone mapping every renderer a game draws with uses, its own or a shared one
+export function setupRenderer(renderer) {
+    renderer.shadowMap.enabled = true
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap
+    renderer.toneMapping = THREE.ACESFilmicToneMapping
+    renderer.toneMappingExposure = 1.0
+}
+
+// Games built and not yet destroyed — should never pass one (shown by the dev memory counter)
+let liveGames = 0
+
 export default class RelicRushGame {
-    constructor(container, callbacks = {}) {
+    // container: the element to draw in. In a worker there is none — options.canvas is the OffscreenCanvas,
+    // options.size its { w, h } and options.pixelRatio the page's; options.sounds plays sound on the page.
+    // options.view shares another's renderer: { renderer, draw(scene, camera) } keeps to this game's viewport
+    constructor(container, callbacks = {}, options = {}) {
         this.container = container
         this.callbacks = callbacks
+        this.canvas = options.canvas || null
+        this.view = options.view || null
+        this.size = options.size || null
+        this.pixelRatio = options.pixelRatio || window.devicePixelRatio
+        this.sounds = options.sounds || sounds
+        // Textures, mixers, listeners, timers, frames and loads — all released by destroy()
+        this.res = new ResourceRegistry()
+        liveGames++
+
+        // Game rules live in the fixed-step simulation; this class only renders what it reads from it.
+        // The same seed always builds the same course.
+        this.mode = options.mode || 'free' // 'free' or 'daily'
+        // A replay re-runs a saved input log; a ghost races one alongside the live player
+        this.replayRun = options.replay || null
+        this.ghostRun = options.ghost || null
+        // Races turn revives off so every runner gets one life
+        this.revives = options.revives !== false
+        this.sim = this.replayRun
+            ? new RunSimulation({ seed: this.replayRun.seed, replay: this.replayRun.inputs })
+            : new RunSimulation({ seed: options.seed })
+        this.ghostSim = this.ghostRun ? new RunSimulation({ seed: this.ghostRun.seed, replay: this.ghostRun.inputs }) : null
+        this.seed = this.sim.seed
+        // Cosmetics the player is wearing — runner tint, trail and parachute colours
+        this.look = readLook(options.look)
+        this.character = CHARACTERS[readCharacter(options.character)]
+        // Graphics: a fixed preset, or 'auto' starting from the level the last run settled on
+        this.quality = readQuality(options.quality)
+        this.governor = this.quality === 'auto' ? new QualityGovernor(options.qualityLevel) : null
+        this.qualityLevel = this.governor ? this.governor.level : this.quality
+        // How far the Temple Guardian's fog has closed in (0–1)
+        this.fogThick = 0
+        this.rand = createRngStream(this.seed, 'layout')
+        // Buildings, vines and trees beside the track, built and recycled from their own stream
+        this.sceneryRand = createRngStream(this.seed, 'scenery')
 
         // Constants
-        this.LANE_W = 2.8
-        this.JUMP_FORCE = 14
-        this.GRAVITY = 36
+        this.LANE_W = this.sim.LANE_W
         this.PATH_LEN = 22
         this.TILE_N = 16
-        this.OBS_N = 22
-        this.COIN_N = 35
-        this.INIT_SPEED = 12
-        this.MAX_SPEED = 35
-        this.SPEED_INC = 0.25
-
-        // State
-        this.score = 0; this.coins = 0; this.speed = this.INIT_SPEED
-        this.curLane = 0; this.tgtLane = 0; this.playerY = 0
-        this.jumpVel = 0; this.jumping = false; this.sliding = false
-        this.slideT = 0; this.gameOver = false; this.running = false
-        this.dist = 0; this.level = 1; this.combo = 1; this.comboT = 0
-        this.shieldOn = false; this.shieldT = 0
-        this.magnetOn = false; this.magnetT = 0
+
+        // Fixed-step bookkeeping — leftover frame time and how far the world has been scrolled
+        this.accumulator = 0
+        this.lastDist = 0
 
         // Parachute intro state
         this.introPhase = 'none' // 'parachute', 'landing', 'none'
@@ -39,65 +94,114 @@ export default class RelicRushGame {
 
         // Collision animation state
         this.collisionPhase = 'none' // 'impact', 'falling', 'lying', 'none'
+        // Revive prompt shown while lying after a crash — { cost, timeLeft }
+        this.reviveOffer = null
+        this.REVIVE_WINDOW = 5
         this.collisionTimer = 0
 
         // Footstep/Breathing timer
         this.footstepTimer = 0
         this.breathTimer = 0
 
+        // Pause state — a resume counts down 3-2-1 before the clock starts again
+        this.paused = false
+        this.pauseReason = null
+        this.countdown = 0
+        this.countdownTimer = null
+        // Set while the GPU has taken the WebGL context away — the run stays frozen until it's back
+        this.contextLost = false
+
         // Pools
         this.tiles = []; this.lWalls = []; this.rWalls = []
         this.obs = []; this.coinArr = []; this.torches = []
         this.pups = []; this.trees = []; this.archways = []
         this.vines = []; this.buildings = []; this.waterTiles = []
+        this.cornerPieces = []; this.turnAnim = null
+
+        // Biomes — materials are cached per palette; `biome` tracks a change in progress
+        this.biomeSets = {}; this.matRoles = new Map()
+        this.biome = { from: 0, to: 0, step: BLEND_TILES, boundary: null, skyT: 1 }
+        this.particleMotion = { rise: BIOMES[0].rise, drift: BIOMES[0].drift }
 
         this.clock = new THREE.Clock(false)
-        this.animId = null
         this._resize = this.onResize.bind(this)
+        this._onVisibility = () => { if (document.hidden) this.pause('hidden') }
+        this._onBlur = () => this.pause('blur')
+        this._bindSimEvents()
         this.init()
     }
 
+    // React to rule outcomes with visuals, sound and callbacks
+    _bindSimEvents() {
+        this.sim.on('gameOver', () => this.doGameOver())
+        this.sim.on('powerUp', ({ type }) => { if (this.callbacks.onPowerUp) this.callbacks.onPowerUp(type); this._emitPowerUps() })
+        this.sim.on('powerUpEnd', () => this._emitPowerUps())
+        this.sim.on('turn', e => this._onTurn(e))
+        this.sim.on('levelUp', ({ level }) => this._onLevelUp(level))
+    }
+
     init() {
-        const w = this.container.clientWidth, h = this.container.clientHeight
+        const { w, h } = this._viewSize()
 
         this.scene = new THREE.Scene()
-        this.scene.background = new THREE.Color(0x87CEEB)
-        this.scene.fog = new THREE.Fog(0x87CEEB, 60, 180)
+        this.scene.background = new THREE.Color(BIOMES[0].sky)
+        this.scene.fog = new THREE.Fog(BIOMES[0].fog, 60, 180)
+        this.biomeMats = this._biomeSet(0, 0, BLEND_TILES)
+        // Everything on the course lives in the world group; turning a corner rotates it around the runner
+        this.world = new THREE.Group()
+        this.scene.add(this.world)
+        // Repeated small props are drawn instanced; the builders register them and build() makes the meshes
+        this.props = new InstancedProps(this.world)
+        this.treeProps = null
 
         this.camera = new THREE.PerspectiveCamera(68, w / h, 0.1, 300)
         this.camera.position.set(0, 6.5, 10)
         this.camera.lookAt(0, 1.5, -18)
 
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, powerPreference: 'high-performance' })
-        this.renderer.setSize(w, h)
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-        this.renderer.shadowMap.enabled = true
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping
-        this.renderer.toneMappingExposure = 1.0
-        this.container.appendChild(this.renderer.domElement)
+        if (this.view) {
+            // A shared renderer is sized and set up by its owner
+            this.renderer = this.view.renderer
+        } else {
+            this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas || undefined, antialias: QUALITY_PRESETS[this.qualityLevel].antialias, powerPreference: 'high-performance' })
+            // An OffscreenCanvas has no style to set; the page sizes the canvas it came from
+            this.renderer.setSize(w, h, !this.canvas)
+            setupRenderer(this.renderer)
+            if (this.container) this.container.appendChild(this.renderer.domElement)
+        }
+        this.res.listen(this.renderer.domElement, 'webglcontextlost', () => this._onContextLost())
+        this.res.listen(this.renderer.domElement, 'webglcontextrestored', () => this._onContextRestored())
 
         this.buildLighting()
         this.buildWater()
         this.buildPath()
         this.buildWalls()
+        this.buildCorners()
         this.buildArchways()
         this.buildBuildings()
         this.buildVines()
         this.buildTrees()
         this.buildPlayer()
+        this.buildTrail()
         this.buildObstacles()
         this.buildCoins()
+        this.props.build()
         this.buildPowerUps()
         this.buildParticles()
-
-        window.addEventListener('resize', this._resize)
+        this._applyQuality(this.qualityLevel)
+
+        // In a worker the host page passes these on instead
+        if (this.container) {
+            this.res.listen(window, 'resize', this._resize)
+            // Leaving the tab or the window pauses the run
+            this.res.listen(document, 'visibilitychange', this._onVisibility)
+            this.res.listen(window, 'blur', this._onBlur)
+        }
         this.animate()
     }
 
     // === TEXTURES ===
     stoneTexture(baseColor, lineColor) {
-        const c = document.createElement('canvas'); c.width = 256; c.height = 256
+        const c = makeCanvas(256, 256)
         const x = c.getContext('2d')
         x.fillStyle = baseColor; x.fillRect(0, 0, 256, 256)
         x.strokeStyle = lineColor; x.lineWidth = 2
@@ -113,32 +217,189 @@ export default class RelicRushGame {
             x.fillStyle = `rgba(${s},${s - 15},${s - 30},0.12)`
             x.fillRect(Math.random() * 256, Math.random() * 256, 2, 2)
         }
-        const t = new THREE.CanvasTexture(c); t.wrapS = t.wrapT = THREE.RepeatWrapping; return t
+        const t = new THREE.CanvasTexture(c); t.wrapS = t.wrapT = THREE.RepeatWrapping; return this.res.track(t)
     }
 
-    mossTexture() {
-        const c = document.createElement('canvas'); c.width = 128; c.height = 128
+    mossTexture(baseColor = '#4a6b3a') {
+        const c = makeCanvas(128, 128)
         const x = c.getContext('2d')
-        x.fillStyle = '#4a6b3a'; x.fillRect(0, 0, 128, 128)
+        x.fillStyle = baseColor; x.fillRect(0, 0, 128, 128)
+        // Clumps a little lighter or darker than the base
+        const base = parseInt(baseColor.slice(1), 16)
         for (let i = 0; i < 200; i++) {
-            const g = 60 + Math.floor(Math.random() * 80)
-            x.fillStyle = `rgba(${30 + Math.random() * 40},${g},${20 + Math.random() * 30},0.3)`
+            const k = 0.6 + Math.random() * 0.8
+            const ch = s => Math.min(255, Math.round(((base >> s) & 255) * k))
+            x.fillStyle = `rgba(${ch(16)},${ch(8)},${ch(0)},0.3)`
             x.fillRect(Math.random() * 128, Math.random() * 128, 3 + Math.random() * 4, 2 + Math.random() * 3)
         }
-        const t = new THREE.CanvasTexture(c); t.wrapS = t.wrapT = THREE.RepeatWrapping; return t
+        const t = new THREE.CanvasTexture(c); t.wrapS = t.wrapT = THREE.RepeatWrapping; return this.res.track(t)
+    }
+
+    // === BIOMES ===
+    // One material per role, built from a palette. Sets are cached — a blend only ever steps through
+    // BLEND_TILES palettes between two biomes, and a long run comes back round to the same ones.
+    _biomeSet(from, to, step) {
+        const key = step >= BLEND_TILES ? `${to}` : `${from}>${to}@${step}`
+        if (this.biomeSets[key]) return this.biomeSets[key]
+        const p = mixPalette(BIOMES[from], BIOMES[to], step / BLEND_TILES)
+        const css = c => '#' + c.toString(16).padStart(6, '0')
+        const std = (color, props) => new THREE.MeshStandardMaterial({ color, ...props })
+        // Moss, channels and leaves smoulder in the lava biome
+        const glow = (color, props) => std(color, { emissive: color, emissiveIntensity: p.glow, ...props })
+        const pathTex = this.stoneTexture(css(p.pathBase), css(p.pathLine)); pathTex.repeat.set(3, 6)
+        const wallTex = this.stoneTexture(css(p.wallBase), css(p.wallLine)); wallTex.repeat.set(2, 4)
+        const mossTex = this.mossTexture(css(p.mossBase)); mossTex.repeat.set(3, 6)
+        const set = {
+            path: std(p.path, { map: pathTex, roughness: 0.85, metalness: 0.05 }),
+            // Corner floors draw underneath the straight path wherever the two overlap
+            cornerFloor: std(p.path, { map: pathTex, roughness: 0.85, metalness: 0.05, polygonOffset: true, polygonOffsetFactor: 1, polygonOffsetUnits: 1 }),
+            border: std(p.border, { roughness: 0.9, metalness: 0.05 }),
+            chan: glow(p.chan, { roughness: 0.95 }),
+            crack: std(p.crack, { roughness: 0.95 }),
+            wall: std(p.wall, { map: wallTex, roughness: 0.9, metalness: 0.05 }),
+            moss: glow(p.moss, { map: mossTex, transparent: true, opacity: 0.6, side: THREE.DoubleSide }),
+            cap: std(p.cap, { roughness: 0.85 }),
+            face: std(p.face, { roughness: 0.8, metalness: 0.1 }),
+            ivy: std(p.ivy, { roughness: 0.85 }),
+            brick: std(p.brick, { roughness: 0.92 }),
+            stone: std(p.stone, { roughness: 0.9 }),
+            stoneDark: std(p.stoneDark, { roughness: 0.92 }),
+            roof: std(p.roof, { roughness: 0.85 }),
+            vine: std(p.vine, { roughness: 0.9 }),
+            foliage: glow(p.foliage, {}),
+            frond: std(p.treeLeaf[3], { roughness: 0.75, side: THREE.DoubleSide }),
+            treeLeaf: p.treeLeaf.map(c => std(c, { roughness: 0.8 })),
+            rock: std(p.rock, { roughness: 0.95, metalness: 0.1 }),
+            obsMoss: glow(p.obsMoss, { roughness: 0.9 }),
+            wood: std(p.wood, { roughness: 0.95 }),
+            bark: std(p.bark, { roughness: 0.95 }),
+            leaf: glow(p.leaf, { roughness: 0.8 }),
+            ruin: std(p.ruin, { roughness: 0.9 }),
+            water: std(p.water, {
+                roughness: p.waterRough, metalness: p.waterShine,
+                transparent: true, opacity: 0.85, emissive: p.waterGlow, emissiveIntensity: 0.2 + p.glow
+            }),
+        }
+        // Remember which role each material plays, so any object can be re-skinned to another set
+        for (const [role, m] of Object.entries(set)) {
+            if (Array.isArray(m)) m.forEach((v, i) => this.matRoles.set(v, { role, i }))
+            else this.matRoles.set(m, { role })
+        }
+        set.textures = [pathTex, wallTex, mossTex]
+        this.biomeSets[key] = set
+        return set
+    }
+
+    // Swap every biome material on an object for the same role in another set (instanced parts are recoloured)
+    _skin(obj, set) {
+        const pick = r => r.i == null ? set[r.role] : set[r.role][r.i]
+        obj.traverse(o => {
+            const r = o.material && this.matRoles.get(o.material)
+            if (r) o.material = pick(r)
+            if (o.userData.parts) for (const p of o.userData.parts) if (p.role) setPartColor(p, pick(p.role).color)
+        })
+    }
+
+    // Register an instanced part on an owner; biome materials are batched by role so _skin can recolour them
+    _addPart(props, owner, geo, mat, local, shadows = {}) {
+        const role = this.matRoles.get(mat) || null
+        const part = props.add(owner, geo, mat, local, { tint: role && role.role, ...shadows })
+        part.role = role
+        return part
+    }
+
+    _syncProps() {
+        this.props.sync()
+        if (this.treeProps) this.treeProps.sync()
+    }
+
+    // Sky, fog, light and ambient particles follow the runner, not the tiles
+    _applyBiomeSky(p) {
+        this.scene.background.setHex(p.sky)
+        this.scene.fog.color.setHex(p.fog)
+        this.ambientLight.color.setHex(p.ambient)
+        this.sunLight.color.setHex(p.sun)
+        this.hemiLight.color.setHex(p.hemiSky); this.hemiLight.groundColor.setHex(p.hemiGround)
+        if (this.particles) { this.particles.material.color.setHex(p.particle); this.particles.material.size = p.particleSize }
+        this.particleMotion = { rise: p.rise, drift: p.drift }
+        this.props.setGlow(p.glow)
+        if (this.treeProps) this.treeProps.setGlow(p.glow)
+    }
+
+    _onLevelUp(level) {
+        const idx = biomeIndexForLevel(level)
+        if (idx === this.biome.to) return
+        this.biome = { from: this.biome.to, to: idx, step: 0, boundary: null, skyT: 0 }
+    }
+
+    // A path tile going round to the far end takes the next step of a biome change; the runner
+    // reaches the first changed tile later, and the sky blends across the changed tiles from there
+    _onTileWrap(tile) {
+        const b = this.biome
+        if (b.step < BLEND_TILES) {
+            b.step++
+            if (b.boundary == null) b.boundary = this.sim.dist - (tile.position.z + this.PATH_LEN / 2)
+            this.biomeMats = this._biomeSet(b.from, b.to, b.step)
+        }
+        this._skin(tile, this.biomeMats)
+    }
+
+    _resetBiome() {
+        this.biome = { from: 0, to: 0, step: BLEND_TILES, boundary: null, skyT: 1 }
+        this.biomeMats = this._biomeSet(0, 0, BLEND_TILES)
+        this._skin(this.world, this.biomeMats)
+        this._applyBiomeSky(BIOMES[0])
+    }
+
+    // Fog reaches as far as the preset allows, pulled in while the guardian's fog is up
+    _applyFog() {
+        const far = this.fogFar + (Math.min(GUARDIAN_ACTIONS.fog.far, this.fogFar) - this.fogFar) * this.fogThick
+        this.scene.fog.near = far / 3; this.scene.fog.far = far
+    }
+
+    // === GRAPHICS QUALITY ===
+    _applyQuality(level) {
+        const q = QUALITY_PRESETS[level]
+        this.qualityLevel = level
+        if (!this.view) this.renderer.setPixelRatio(Math.min(this.pixelRatio, q.pixelRatio))
+        const sun = this.sunLight
+        sun.castShadow = q.shadows
+        if (sun.shadow.mapSize.x !== q.shadowSize) {
+            sun.shadow.mapSize.set(q.shadowSize, q.shadowSize)
+            // The shadow map is rebuilt at the new size on the next render
+            if (sun.shadow.map) { sun.shadow.map.dispose(); sun.shadow.map = null }
+        }
+        this.fogFar = q.fogFar; this._applyFog()
+        this.camera.far = q.fogFar * 1.6; this.camera.updateProjectionMatrix()
+        this._thin(this.torches, q.torchLights)
+        this._applyScenery()
+        if (this.callbacks.onQualityChange) this.callbacks.onQualityChange(level, this.quality)
+    }
+
+    _applyScenery() {
+        const density = QUALITY_PRESETS[this.qualityLevel].scenery
+        for (const list of [this.archways, this.buildings, this.vines, this.trees]) this._thin(list, Math.round(list.length * density))
+    }
+
+    // Keep n of a pool's objects, spread evenly along it; _updateCorners leaves the rest hidden
+    _thin(list, n) {
+        list.forEach((o, i) => { o.userData.shown = Math.floor((i + 1) * n / list.length) > Math.floor(i * n / list.length) })
     }
 
     // === LIGHTING ===
     buildLighting() {
-        this.scene.add(new THREE.AmbientLight(0xffeedd, 0.6))
-        const sun = new THREE.DirectionalLight(0xffdd88, 1.2)
+        this.ambientLight = new THREE.AmbientLight(BIOMES[0].ambient, 0.6)
+        this.scene.add(this.ambientLight)
+        const sun = new THREE.DirectionalLight(BIOMES[0].sun, 1.2)
+        this.sunLight = sun
         sun.position.set(10, 25, 15); sun.castShadow = true
         sun.shadow.mapSize.set(2048, 2048)
         sun.shadow.camera.near = 0.5; sun.shadow.camera.far = 80
         sun.shadow.camera.left = -25; sun.shadow.camera.right = 25
         sun.shadow.camera.top = 25; sun.shadow.camera.bottom = -25
         this.scene.add(sun)
-        this.scene.add(new THREE.HemisphereLight(0x87CEEB, 0x556B2F, 0.4))
+        this.hemiLight = new THREE.HemisphereLight(BIOMES[0].hemiSky, BIOMES[0].hemiGround, 0.4)
+        this.scene.add(this.hemiLight)
 
         // Torch fires along path
         const cols = [0xff6622, 0xff8833, 0xffaa44]
@@ -146,56 +407,55 @@ export default class RelicRushGame {
             const side = i % 2 === 0 ? -1 : 1
             const l = new THREE.PointLight(cols[i % 3], 0.7, 16, 1.8)
             l.position.set(side * 5.8, 4, -i * 10)
-            this.scene.add(l); this.torches.push(l)
+            this.world.add(l); this.torches.push(l)
             // Flame visual
             const fg = new THREE.SphereGeometry(0.15, 6, 6)
             const fm = new THREE.MeshBasicMaterial({ color: cols[i % 3], transparent: true, opacity: 0.9 })
             const f = new THREE.Mesh(fg, fm); f.position.copy(l.position); f.position.y -= 0.3
-            this.scene.add(f)
+            this.world.add(f)
             // Torch post
             const pg = new THREE.CylinderGeometry(0.08, 0.1, 2.5, 5)
             const pm = new THREE.MeshStandardMaterial({ color: 0x3a2a1a })
-            const p = new THREE.Mesh(pg, pm); p.position.set(side * 5.8, 2.5, -i * 10); this.scene.add(p)
+            const p = new THREE.Mesh(pg, pm); p.position.set(side * 5.8, 2.5, -i * 10); this.world.add(p)
         }
     }
 
     // === WATER ===
     buildWater() {
         const wGeo = new THREE.PlaneGeometry(60, this.PATH_LEN)
-        const wMat = new THREE.MeshStandardMaterial({
-            color: 0x0a4a4a, roughness: 0.2, metalness: 0.6,
-            transparent: true, opacity: 0.85, emissive: 0x003333, emissiveIntensity: 0.2
-        })
+        const wMat = this.biomeMats.water
         for (let i = 0; i < this.TILE_N; i++) {
             const z = -i * this.PATH_LEN + this.PATH_LEN / 2
             const lw = new THREE.Mesh(wGeo, wMat); lw.rotation.x = -Math.PI / 2; lw.position.set(-35, -2, z)
-            this.scene.add(lw); this.waterTiles.push(lw)
+            this.world.add(lw); this.waterTiles.push(lw)
             const rw = new THREE.Mesh(wGeo, wMat); rw.rotation.x = -Math.PI / 2; rw.position.set(35, -2, z)
-            this.scene.add(rw); this.waterTiles.push(rw)
+            this.world.add(rw); this.waterTiles.push(rw)
         }
     }
 
     // === PATH (Detailed Temple Stone Floor) ===
     buildPath() {
-        const tex = this.stoneTexture('#8a7a5a', '#706040'); tex.repeat.set(3, 6)
+        const bm = this.biomeMats
         const geo = new THREE.PlaneGeometry(10, this.PATH_LEN)
-        const mat = new THREE.MeshStandardMaterial({ map: tex, roughness: 0.85, metalness: 0.05, color: 0xb09060 })
+        const mat = bm.path
         // Raised stone border along edges
         const borderGeo = new THREE.BoxGeometry(0.6, 0.35, this.PATH_LEN)
-        const borderMat = new THREE.MeshStandardMaterial({ color: 0x8a7a58, roughness: 0.9, metalness: 0.05 })
+        const borderMat = bm.border
         // Gold trim
         const trimGeo = new THREE.BoxGeometry(10, 0.08, 0.3)
         const trimMat = new THREE.MeshStandardMaterial({ color: 0xc8a830, metalness: 0.7, roughness: 0.3, emissive: 0x886600, emissiveIntensity: 0.15 })
         // Center channel engraving
         const chanGeo = new THREE.BoxGeometry(0.15, 0.03, this.PATH_LEN)
-        const chanMat = new THREE.MeshStandardMaterial({ color: 0x6a5a40, roughness: 0.95 })
+        const chanMat = bm.chan
         // Cracked stone overlays
-        const crackMat = new THREE.MeshStandardMaterial({ color: 0x7a6a48, roughness: 0.95 })
+        const crackMat = bm.crack
+        // Pebbles are instanced: one unit stone, sized per instance
+        const pebbleGeo = new THREE.DodecahedronGeometry(1, 0)
 
         // 1. Create the singular STARTING LINE
         this.startLine = new THREE.Mesh(trimGeo, trimMat)
         this.startLine.position.set(0, 0.01, 0) // Positioned exactly at the start
-        this.scene.add(this.startLine)
+        this.world.add(this.startLine)
 
         for (let i = 0; i < this.TILE_N; i++) {
             const z = -i * this.PATH_LEN + this.PATH_LEN / 2
@@ -215,41 +475,42 @@ export default class RelicRushGame {
             const cr = new THREE.Mesh(chanGeo, chanMat); cr.position.set(2, 0.01, 0); group.add(cr)
             // Random cracked stone slabs
             if (i % 3 === 0) {
-                const slab = new THREE.Mesh(new THREE.BoxGeometry(1.5 + Math.random(), 0.06, 1 + Math.random()), crackMat)
-                slab.position.set((Math.random() - 0.5) * 6, 0.02, (Math.random() - 0.5) * 8)
-                slab.rotation.y = Math.random() * 0.3; group.add(slab)
+                const slab = new THREE.Mesh(new THREE.BoxGeometry(1.5 + this.rand(), 0.06, 1 + this.rand()), crackMat)
+                slab.position.set((this.rand() - 0.5) * 6, 0.02, (this.rand() - 0.5) * 8)
+                slab.rotation.y = this.rand() * 0.3; group.add(slab)
             }
             // Scattered pebbles/debris along edges
             for (let p = 0; p < 4; p++) {
-                const pebble = new THREE.Mesh(new THREE.DodecahedronGeometry(0.06 + Math.random() * 0.06, 0), crackMat)
-                pebble.position.set(-4.5 + Math.random() * 9, 0.04, (Math.random() - 0.5) * this.PATH_LEN)
-                group.add(pebble)
+                const r = 0.06 + this.rand() * 0.06
+                this._addPart(this.props, group, pebbleGeo, crackMat, partMatrix([-4.5 + this.rand() * 9, 0.04, (this.rand() - 0.5) * this.PATH_LEN], undefined, r))
             }
-            this.scene.add(group); this.tiles.push(group)
+            this.world.add(group); this.tiles.push(group)
         }
     }
 
     // === WALLS (Layered Ancient Temple Walls) ===
     buildWalls() {
-        const tex = this.stoneTexture('#6a5a4a', '#584838'); tex.repeat.set(2, 4)
-        const mossTex = this.mossTexture(); mossTex.repeat.set(3, 6)
+        const bm = this.biomeMats
         const wGeo = new THREE.BoxGeometry(1.2, 4, this.PATH_LEN)
-        const wMat = new THREE.MeshStandardMaterial({ map: tex, roughness: 0.9, metalness: 0.05, color: 0x8a7a60 })
+        const wMat = bm.wall
         // Moss overlay panels
         const mGeo = new THREE.PlaneGeometry(this.PATH_LEN, 1.5)
-        const mMat = new THREE.MeshStandardMaterial({ map: mossTex, transparent: true, opacity: 0.6, color: 0x3a6a2a, side: THREE.DoubleSide })
+        const mMat = bm.moss
         // Decorative gold tiles on walls
         const dGeo = new THREE.BoxGeometry(0.15, 0.5, 0.5)
         const dMat = new THREE.MeshStandardMaterial({ color: 0xc8a020, metalness: 0.8, roughness: 0.2, emissive: 0x886600, emissiveIntensity: 0.2 })
         // Cap stones on top of walls
         const capGeo = new THREE.BoxGeometry(1.6, 0.25, this.PATH_LEN)
-        const capMat = new THREE.MeshStandardMaterial({ color: 0x7a6a50, roughness: 0.85 })
+        const capMat = bm.cap
         // Carved face relief
-        const faceMat = new THREE.MeshStandardMaterial({ color: 0x9a8a68, roughness: 0.8, metalness: 0.1 })
+        const faceMat = bm.face
         // Ivy overgrowth
-        const ivyMat = new THREE.MeshStandardMaterial({ color: 0x2a6a18, roughness: 0.85 })
+        const ivyMat = bm.ivy
         // Brick layers for crumbling top
-        const brickMat = new THREE.MeshStandardMaterial({ color: 0x8a7a5a, roughness: 0.92 })
+        const brickMat = bm.brick
+        // Bricks, gold tiles and ivy are instanced; bricks and ivy are unit shapes sized per instance
+        const brickGeo = new THREE.BoxGeometry(1, 1, 1)
+        const ivyGeo = new THREE.SphereGeometry(1, 6, 5)
 
         for (let i = 0; i < this.TILE_N; i++) {
             const z = -i * this.PATH_LEN + this.PATH_LEN / 2
@@ -272,12 +533,10 @@ export default class RelicRushGame {
 
             // Crumbling brick segments on top (random heights)
             for (let b = 0; b < 5; b++) {
-                const bh = 0.2 + Math.random() * 0.6
-                const localZ = -this.PATH_LEN / 2 + b * 4 + Math.random() * 2
-                const brick = new THREE.Mesh(new THREE.BoxGeometry(1.0, bh, 0.8 + Math.random() * 0.5), brickMat)
-                brick.position.set(-5.6, 4.35 + bh / 2, localZ); lGroup.add(brick)
-                const brick2 = new THREE.Mesh(new THREE.BoxGeometry(1.0, bh * 0.7, 0.6 + Math.random() * 0.5), brickMat)
-                brick2.position.set(5.6, 4.35 + bh * 0.35, localZ + 1); rGroup.add(brick2)
+                const bh = 0.2 + this.rand() * 0.6
+                const localZ = -this.PATH_LEN / 2 + b * 4 + this.rand() * 2
+                this._addPart(this.props, lGroup, brickGeo, brickMat, partMatrix([-5.6, 4.35 + bh / 2, localZ], undefined, [1.0, bh, 0.8 + this.rand() * 0.5]))
+                this._addPart(this.props, rGroup, brickGeo, brickMat, partMatrix([5.6, 4.35 + bh * 0.35, localZ + 1], undefined, [1.0, bh * 0.7, 0.6 + this.rand() * 0.5]))
             }
 
             // Moss on walls
@@ -287,8 +546,8 @@ export default class RelicRushGame {
             // Gold decoration tiles
             for (let j = 0; j < 6; j++) {
                 const localZ = -this.PATH_LEN / 2 + j * 3.5 + 1
-                const ld = new THREE.Mesh(dGeo, dMat); ld.position.set(-4.9, 2.8, localZ); lGroup.add(ld)
-                const rd = new THREE.Mesh(dGeo, dMat); rd.position.set(4.9, 2.8, localZ); rGroup.add(rd)
+                this._addPart(this.props, lGroup, dGeo, dMat, partMatrix([-4.9, 2.8, localZ]))
+                this._addPart(this.props, rGroup, dGeo, dMat, partMatrix([4.9, 2.8, localZ]))
             }
 
             // Carved face reliefs (every other tile)
@@ -306,29 +565,159 @@ export default class RelicRushGame {
 
             // Ivy overgrowth clusters
             for (let iv = 0; iv < 3; iv++) {
-                const localZ = -this.PATH_LEN / 2 + iv * 7 + Math.random() * 3
-                const ivySphere = new THREE.Mesh(new THREE.SphereGeometry(0.5 + Math.random() * 0.4, 6, 5), ivyMat)
-                ivySphere.position.set(-5.0 + Math.random() * 0.3, 3.2 + Math.random() * 1.2, localZ)
-                ivySphere.scale.set(1.5, 0.8, 1); lGroup.add(ivySphere)
+                const localZ = -this.PATH_LEN / 2 + iv * 7 + this.rand() * 3
+                const r = 0.5 + this.rand() * 0.4
+                this._addPart(this.props, lGroup, ivyGeo, ivyMat, partMatrix([-5.0 + this.rand() * 0.3, 3.2 + this.rand() * 1.2, localZ], undefined, [r * 1.5, r * 0.8, r]))
 
                 if (iv % 2 === 0) {
-                    const ivy2 = new THREE.Mesh(new THREE.SphereGeometry(0.4 + Math.random() * 0.3, 6, 5), ivyMat)
-                    ivy2.position.set(5.0 - Math.random() * 0.3, 2.5 + Math.random() * 1.5, localZ + 2)
-                    ivy2.scale.set(1.3, 0.7, 1); rGroup.add(ivy2)
+                    const r2 = 0.4 + this.rand() * 0.3
+                    this._addPart(this.props, rGroup, ivyGeo, ivyMat, partMatrix([5.0 - this.rand() * 0.3, 2.5 + this.rand() * 1.5, localZ + 2], undefined, [r2 * 1.3, r2 * 0.7, r2]))
                 }
             }
 
             // Add groups to scene and arrays for scrolling
-            this.scene.add(lGroup); this.lWalls.push(lGroup)
-            this.scene.add(rGroup); this.rWalls.push(rGroup)
+            this.world.add(lGroup); this.lWalls.push(lGroup)
+            this.world.add(rGroup); this.rWalls.push(rGroup)
+        }
+    }
+
+    // === CORNERS (Turns & T-Junctions) ===
+    // Each corner is a set piece laid over the straight corridor: the junction floor, an end wall and a
+    // side corridor for every way out. Straight tiles and walls that would run through it are hidden,
+    // and filler walls close the gaps that leaves.
+    buildCorners() {
+        this.cornerKit = {
+            floorGeo: new THREE.PlaneGeometry(10, this.PATH_LEN),
+            wallGeo: new THREE.BoxGeometry(1.2, 4, this.PATH_LEN),
+            capGeo: new THREE.BoxGeometry(1.6, 0.25, this.PATH_LEN),
+            fillGeo: new THREE.BoxGeometry(1.2, 4, 1),
+            fillCapGeo: new THREE.BoxGeometry(1.6, 0.25, 1),
+        }
+        this.cornerPieces = [this._buildCornerPiece(this.sim.nextCorner)]
+    }
+
+    _cornerWall(parent, x, z, alongX) {
+        const k = this.cornerKit, bm = this.biomeMats
+        const w = new THREE.Mesh(k.wallGeo, bm.wall); w.position.set(x, 2, z); w.castShadow = true
+        const c = new THREE.Mesh(k.capGeo, bm.cap); c.position.set(x, 4.12, z)
+        if (alongX) { w.rotation.y = Math.PI / 2; c.rotation.y = Math.PI / 2 }
+        parent.add(w, c)
+    }
+
+    // Built in the corner's own frame: the run-up comes in along +Z, the junction centre is the origin
+    _buildCornerPiece(corner) {
+        const k = this.cornerKit, bm = this.biomeMats, L = this.PATH_LEN
+        const group = new THREE.Group(), ahead = new THREE.Group(), approach = new THREE.Group()
+        const sides = CORNER_TYPES[corner.type].map(d => d === 'left' ? -1 : 1)
+        // Junction square plus the run-up, reaching back past any straight tile hidden for it
+        for (let i = 0; i < 2; i++) {
+            const f = new THREE.Mesh(k.floorGeo, bm.cornerFloor); f.rotation.x = -Math.PI / 2
+            f.position.set(0, -0.01, -5 + L / 2 + i * L); f.receiveShadow = true; group.add(f)
+        }
+        // End wall, and a side corridor running off each open side
+        this._cornerWall(ahead, 0, -5.6, true)
+        for (const s of sides) {
+            for (let i = 0; i < 3; i++) {
+                const x = s * (5 + L / 2 + i * L)
+                const f = new THREE.Mesh(k.floorGeo, bm.cornerFloor); f.rotation.set(-Math.PI / 2, 0, Math.PI / 2)
+                f.position.set(x, -0.01, 0); f.receiveShadow = true; ahead.add(f)
+                this._cornerWall(ahead, x, -5.6, true)
+                this._cornerWall(ahead, x, 5.6, true)
+            }
+        }
+        // Once turned, the run-up becomes a corridor off to the side and needs its own walls
+        for (const s of [-1, 1]) for (let i = 0; i < 2; i++) this._cornerWall(approach, s * 5.6, 5 + L / 2 + i * L, false)
+        approach.visible = false
+        group.add(ahead, approach)
+        this.world.add(group)
+
+        // Filler walls live in the course frame, not the corner's — up to two per side
+        const fills = {}
+        for (const s of [-1, 1]) {
+            fills[s] = [0, 1].map(() => {
+                const g = new THREE.Group()
+                const w = new THREE.Mesh(k.fillGeo, bm.wall); w.position.y = 2; w.castShadow = true
+                const c = new THREE.Mesh(k.fillCapGeo, bm.cap); c.position.y = 4.12
+                g.add(w, c); g.position.x = s * 5.6; g.visible = false
+                this.world.add(g)
+                return g
+            })
+        }
+        return { corner, group, ahead, approach, sides, fills, passed: false, turnSide: 0 }
+    }
+
+    _removeCornerPiece(piece) {
+        this.world.remove(piece.group)
+        for (const s of [-1, 1]) for (const g of piece.fills[s]) this.world.remove(g)
+    }
+
+    // The runner took a corner: the piece swings round behind them and the straight corridor becomes the new way ahead
+    _onTurn({ dir, corner, skip }) {
+        const angle = dir === 'left' ? -Math.PI / 2 : Math.PI / 2
+        const piece = this.cornerPieces.find(p => p.corner === corner)
+        if (piece) {
+            piece.passed = true; piece.turnSide = dir === 'left' ? -1 : 1
+            piece.group.rotation.y = angle
+            piece.ahead.visible = false; piece.approach.visible = true
+        }
+        this.cornerPieces.push(this._buildCornerPiece(this.sim.nextCorner))
+        // Scenery doesn't scroll through the snap to the corner centre — the world swings round instead
+        this.lastDist += skip
+        if (this.biome.boundary != null) this.biome.boundary += skip
+        this.turnAnim = { t: 0, from: -angle, skip }
+    }
+
+    // Place the corner pieces, hide the straight corridor where they stand in for it, and patch the walls
+    _updateCorners() {
+        const half = this.PATH_LEN / 2
+        this.cornerPieces = this.cornerPieces.filter(p => {
+            p.group.position.z = this.sim.dist - p.corner.dist
+            if (p.passed && p.group.position.z > 90) { this._removeCornerPiece(p); return false }
+            return true
+        })
+        const cs = this.cornerPieces.map(p => ({
+            p, cz: p.group.position.z, open: p.passed ? [p.turnSide] : p.sides,
+            span: { '-1': [Infinity, -Infinity], '1': [Infinity, -Infinity] }
+        }))
+        // A tile is gone if it reaches past an end wall ahead, or lies wholly behind a corner already turned
+        const tileHidden = z => cs.some(c => c.p.passed ? z - half > c.cz + 5.6 : z - half < c.cz - 5.6)
+        for (const t of this.tiles) t.visible = !tileHidden(t.position.z)
+        for (const [s, walls] of [[-1, this.lWalls], [1, this.rWalls]]) {
+            for (const w of walls) {
+                const z = w.position.z
+                let hidden = tileHidden(z)
+                for (const c of cs) {
+                    const cut = (c.open.includes(s) && z - half < c.cz + 5 && z + half > c.cz - 5) || (!c.p.passed && z - half < c.cz - 5.6)
+                    if (cut) { hidden = true; c.span[s][0] = Math.min(c.span[s][0], z - half); c.span[s][1] = Math.max(c.span[s][1], z + half) }
+                }
+                w.visible = !hidden
+            }
+        }
+        // Filler walls cover what was cut, minus the opening and anything past the end wall
+        for (const c of cs) {
+            for (const s of [-1, 1]) {
+                let [lo, hi] = c.span[s]
+                if (!c.p.passed) lo = Math.max(lo, c.cz - 6.2)
+                const segs = !c.open.includes(s) ? [[lo, hi]] : c.p.passed ? [[lo, c.cz - 5], [c.cz + 5, hi]] : [[c.cz + 5, hi]]
+                c.p.fills[s].forEach((g, i) => {
+                    const seg = segs[i]
+                    g.visible = !!seg && seg[1] - seg[0] > 0.01
+                    if (g.visible) { g.position.z = (seg[0] + seg[1]) / 2; g.scale.z = seg[1] - seg[0] }
+                })
+            }
+        }
+        // Scenery near a corner or past its end wall would stand in the side corridors
+        const sceneryHidden = z => cs.some(c => c.p.passed ? z > c.cz + 10 : z < c.cz + 10)
+        for (const list of [this.archways, this.buildings, this.vines, this.trees, this.torches]) {
+            for (const o of list) o.visible = o.userData.shown !== false && !sceneryHidden(o.position.z)
         }
     }
 
     // === ARCHWAYS (Grand Temple Gates) ===
     buildArchways() {
-        const sMat = new THREE.MeshStandardMaterial({ color: 0x7a6a50, roughness: 0.85, metalness: 0.1 })
+        const sMat = this.biomeMats.cap
         const dMat = new THREE.MeshStandardMaterial({ color: 0xc8a020, metalness: 0.8, roughness: 0.2, emissive: 0x886600, emissiveIntensity: 0.15 })
-        const carveMat = new THREE.MeshStandardMaterial({ color: 0x8a7a58, roughness: 0.75, metalness: 0.15 })
+        const carveMat = this.biomeMats.border
         for (let i = 0; i < 5; i++) {
             const g = new THREE.Group()
             // Fluted pillars with base+capital
@@ -370,17 +759,18 @@ export default class RelicRushGame {
             sunDisc.position.set(0, 7.3, 0.92); g.add(sunDisc)
 
             g.position.set(0, 0, -(40 + i * 60))
-            this.scene.add(g); this.archways.push(g)
+            this.world.add(g); this.archways.push(g)
         }
     }
 
     // === BUILDINGS (Ancient Temple Ruins & Stepped Pyramids) ===
     buildBuildings() {
-        const stoneMat = new THREE.MeshStandardMaterial({ color: 0x6a5a4a, roughness: 0.9 })
-        const darkMat = new THREE.MeshStandardMaterial({ color: 0x4a3a2a, roughness: 0.92 })
-        const roofMat = new THREE.MeshStandardMaterial({ color: 0x4a5a3a, roughness: 0.85 })
+        const bm = this.biomeMats
+        const stoneMat = bm.stone
+        const darkMat = bm.stoneDark
+        const roofMat = bm.roof
         const goldMat = new THREE.MeshStandardMaterial({ color: 0xc8a020, metalness: 0.7, roughness: 0.3, emissive: 0x886600, emissiveIntensity: 0.15 })
-        const ivyMat = new THREE.MeshStandardMaterial({ color: 0x2a5a18, roughness: 0.85 })
+        const ivyMat = bm.vine
         const winMat = new THREE.MeshBasicMaterial({ color: 0x081008 })
 
         for (let i = 0; i < 12; i++) {
@@ -389,10 +779,10 @@ export default class RelicRushGame {
 
             if (isTemple) {
                 // === STEPPED PYRAMID TEMPLE ===
-                const baseW = 5 + Math.random() * 2, tiers = 3 + Math.floor(Math.random() * 2)
+                const baseW = 5 + this.sceneryRand() * 2, tiers = 3 + Math.floor(this.sceneryRand() * 2)
                 let yOff = 0
                 for (let t = 0; t < tiers; t++) {
-                    const tw = baseW - t * 1.2, th = 1.8 + Math.random() * 0.5, td = baseW * 0.8 - t * 0.9
+                    const tw = baseW - t * 1.2, th = 1.8 + this.sceneryRand() * 0.5, td = baseW * 0.8 - t * 0.9
                     const tier = new THREE.Mesh(new THREE.BoxGeometry(tw, th, td), stoneMat)
                     tier.position.y = yOff + th / 2; tier.castShadow = true; bld.add(tier)
                     // Decorative ledge
@@ -418,14 +808,14 @@ export default class RelicRushGame {
                 door.position.set(0, 0.9, baseW * 0.4 + 0.3); bld.add(door)
             } else {
                 // === RUINED TOWER / TEMPLE BLOCK ===
-                const w = 3 + Math.random() * 2.5, h = 5 + Math.random() * 4, d = 3 + Math.random() * 2
+                const w = 3 + this.sceneryRand() * 2.5, h = 5 + this.sceneryRand() * 4, d = 3 + this.sceneryRand() * 2
                 const body = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), stoneMat)
                 body.position.y = h / 2; body.castShadow = true; bld.add(body)
                 // Crumbling top — irregular blocks
                 for (let c = 0; c < 4; c++) {
-                    const ch = 0.3 + Math.random() * 0.8
-                    const cBlock = new THREE.Mesh(new THREE.BoxGeometry(w * (0.4 + Math.random() * 0.4), ch, d * (0.3 + Math.random() * 0.4)), darkMat)
-                    cBlock.position.set((Math.random() - 0.5) * w * 0.3, h + ch / 2, (Math.random() - 0.5) * d * 0.3)
+                    const ch = 0.3 + this.sceneryRand() * 0.8
+                    const cBlock = new THREE.Mesh(new THREE.BoxGeometry(w * (0.4 + this.sceneryRand() * 0.4), ch, d * (0.3 + this.sceneryRand() * 0.4)), darkMat)
+                    cBlock.position.set((this.sceneryRand() - 0.5) * w * 0.3, h + ch / 2, (this.sceneryRand() - 0.5) * d * 0.3)
                     bld.add(cBlock)
                 }
                 // Window holes
@@ -435,43 +825,45 @@ export default class RelicRushGame {
                     bld.add(win)
                 }
                 // Broken column nearby
-                const colH = 2 + Math.random() * 2
+                const colH = 2 + this.sceneryRand() * 2
                 const col = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.4, colH, 6), stoneMat)
                 col.position.set(w / 2 + 1, colH / 2, 0); col.castShadow = true; bld.add(col)
             }
 
             // Ivy/moss patches on all buildings
             for (let m = 0; m < 3; m++) {
-                const ivy = new THREE.Mesh(new THREE.SphereGeometry(0.6 + Math.random() * 0.5, 5, 4), ivyMat)
-                ivy.position.set((Math.random() - 0.5) * 3, 1 + Math.random() * 3, (Math.random() > 0.5 ? 1 : -1) * 2)
+                const ivy = new THREE.Mesh(new THREE.SphereGeometry(0.6 + this.sceneryRand() * 0.5, 5, 4), ivyMat)
+                ivy.position.set((this.sceneryRand() - 0.5) * 3, 1 + this.sceneryRand() * 3, (this.sceneryRand() > 0.5 ? 1 : -1) * 2)
                 ivy.scale.set(1.4, 0.6, 1); bld.add(ivy)
             }
 
             const side = i % 2 === 0 ? -1 : 1
-            bld.position.set(side * (10 + Math.random() * 5), 0, -(i * 28 + Math.random() * 12))
-            this.scene.add(bld); this.buildings.push(bld)
+            bld.position.set(side * (10 + this.sceneryRand() * 5), 0, -(i * 28 + this.sceneryRand() * 12))
+            this.world.add(bld); this.buildings.push(bld)
         }
     }
 
     // === VINES ===
     buildVines() {
-        const vMat = new THREE.MeshStandardMaterial({ color: 0x2a5a1a, roughness: 0.9 })
+        const vMat = this.biomeMats.vine
+        // Segments and leaves are instanced; each keeps its origin so it can sway
+        const segGeo = new THREE.CylinderGeometry(0.03, 0.04, 0.4, 4)
+        const leafGeo = new THREE.SphereGeometry(0.08, 4, 4)
         for (let i = 0; i < 20; i++) {
             const vine = new THREE.Group()
-            const len = 2 + Math.random() * 4
+            const len = 2 + this.sceneryRand() * 4
             for (let j = 0; j < Math.floor(len * 3); j++) {
-                const seg = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.04, 0.4, 4), vMat)
-                seg.position.set(Math.sin(j * 0.5) * 0.15, -j * 0.35, Math.cos(j * 0.3) * 0.1)
-                vine.add(seg)
+                const at = new THREE.Vector3(Math.sin(j * 0.5) * 0.15, -j * 0.35, Math.cos(j * 0.3) * 0.1)
+                this._addPart(this.props, vine, segGeo, vMat, new THREE.Matrix4().setPosition(at)).origin = at
                 // Leaf
                 if (j % 3 === 0) {
-                    const leaf = new THREE.Mesh(new THREE.SphereGeometry(0.08, 4, 4), new THREE.MeshStandardMaterial({ color: 0x3a7a2a }))
-                    leaf.position.copy(seg.position); leaf.position.x += 0.1; vine.add(leaf)
+                    const leafAt = at.clone(); leafAt.x += 0.1
+                    this._addPart(this.props, vine, leafGeo, this.biomeMats.foliage, new THREE.Matrix4().setPosition(leafAt)).origin = leafAt
                 }
             }
             const side = i % 2 === 0 ? -1 : 1
-            vine.position.set(side * (5 + Math.random()), 6.5 + Math.random() * 2, -(i * 14 + Math.random() * 8))
-            this.scene.add(vine); this.vines.push(vine)
+            vine.position.set(side * (5 + this.sceneryRand()), 6.5 + this.sceneryRand() * 2, -(i * 14 + this.sceneryRand() * 8))
+            this.world.add(vine); this.vines.push(vine)
         }
     }
 
@@ -479,10 +871,11 @@ export default class RelicRushGame {
     // === TREES (Detailed Jungle Trees & Custom Model Support) ===
     buildTrees() {
         this.trees = []
-        const loader = new GLTFLoader()
+        // Procedural trees unless a custom tree model is configured in assets.js
+        if (!SCENERY.tree) return this._generateProceduralTrees()
 
-        // 1. Attempt to load the user's custom tree.glb
-        loader.load('/tree.glb', (gltf) => {
+        // 1. Take the custom tree model from the asset cache
+        this.res.load(loadModel(SCENERY.tree)).then((gltf) => {
             console.log('[Relic Rush] Custom tree.glb loaded successfully!')
             const model = gltf.scene
 
@@ -504,116 +897,109 @@ export default class RelicRushGame {
             // 2. Clone and spawn 20 custom trees along the path
             for (let i = 0; i < 20; i++) {
                 const tree = model.clone()
-                const scalar = baseScale * (0.8 + Math.random() * 0.6)
+                const scalar = baseScale * (0.8 + this.sceneryRand() * 0.6)
                 tree.scale.set(scalar, scalar, scalar)
 
                 const side = i % 2 === 0 ? -1 : 1
                 // 3. Push the trees far off the stone path so the giant branches don't hang into the track
-                tree.position.set(side * (30 + Math.random() * 10), 0, -(i * 14 + Math.random() * 8))
+                tree.position.set(side * (30 + this.sceneryRand() * 10), 0, -(i * 14 + this.sceneryRand() * 8))
 
                 // Random Y rotation so identical models look unique
-                tree.rotation.y = Math.random() * Math.PI * 2
+                tree.rotation.y = this.sceneryRand() * Math.PI * 2
 
-                this.scene.add(tree)
+                this.world.add(tree)
                 this.trees.push(tree)
             }
-        }, undefined, (err) => {
-            // 3. Fallback: If no tree.glb is present in the public folder, use the procedural defaults
+            this._applyScenery()
+        }, () => {
+            // 3. Fallback: If the configured model isn't in the public folder, use the procedural defaults
             console.log('[Relic Rush] No custom tree.glb found in public/. Using default procedural trees.')
             this._generateProceduralTrees()
         })
     }
 
     _generateProceduralTrees() {
-        const barkMat = new THREE.MeshStandardMaterial({ color: 0x3a2510, roughness: 0.95 })
-        const darkBark = new THREE.MeshStandardMaterial({ color: 0x2a1a08, roughness: 0.95 })
-        const fCols = [0x1a5a2a, 0x226a30, 0x185020, 0x2a7a38, 0x1a6a28]
-        const mossMat = new THREE.MeshStandardMaterial({ color: 0x2a6a1a, roughness: 0.9 })
+        const bm = this.biomeMats
+        const barkMat = bm.wood
+        const darkBark = bm.bark
+        const mossMat = bm.obsMoss
+        // Every tree part is instanced from one unit shape per kind, sized per instance
+        const props = this.treeProps = new InstancedProps(this.world)
+        const shadow = { castShadow: true }
+        const segGeo = new THREE.CylinderGeometry(0.18, 0.2, 1.2, 6)
+        const frondGeo = new THREE.PlaneGeometry(0.8, 3.5)
+        const nutGeo = new THREE.SphereGeometry(0.12, 6, 6)
+        const coconutMat = new THREE.MeshStandardMaterial({ color: 0x5a4020, roughness: 0.8 })
+        const trunkGeo = new THREE.CylinderGeometry(0.25, 0.5, 1, 7)
+        const rootGeo = new THREE.CylinderGeometry(0.03, 0.18, 1.8, 4)
+        const branchGeo = new THREE.CylinderGeometry(0.06, 0.12, 2.5, 5)
+        const folGeo = new THREE.SphereGeometry(1, 8, 6)
+        const mossGeo = new THREE.CylinderGeometry(0.015, 0.02, 1, 3)
 
         for (let i = 0; i < 20; i++) {
             const tree = new THREE.Group()
             const isPalm = i % 5 === 0
-            const scale = 0.8 + Math.random() * 0.6
+            const scale = 0.8 + this.sceneryRand() * 0.6
 
             if (isPalm) {
                 // Curved segmented trunk
                 for (let s = 0; s < 8; s++) {
-                    const r = 0.18 - s * 0.015
-                    const seg = new THREE.Mesh(new THREE.CylinderGeometry(r, r + 0.02, 1.2, 6), barkMat)
-                    seg.position.set(Math.sin(s * 0.2) * 0.3, s * 1.1 + 0.6, 0)
-                    seg.rotation.z = Math.sin(s * 0.3) * 0.08
-                    seg.castShadow = true; tree.add(seg)
+                    const r = (0.18 - s * 0.015) / 0.18
+                    this._addPart(props, tree, segGeo, barkMat, partMatrix([Math.sin(s * 0.2) * 0.3, s * 1.1 + 0.6, 0], [0, 0, Math.sin(s * 0.3) * 0.08], [r, 1, r]), shadow)
                 }
                 // Palm fronds
-                const frondMat = new THREE.MeshStandardMaterial({ color: 0x2a7a20, roughness: 0.75, side: THREE.DoubleSide })
+                const frondMat = bm.frond
                 for (let f = 0; f < 7; f++) {
                     const angle = (f / 7) * Math.PI * 2
-                    const frond = new THREE.Mesh(new THREE.PlaneGeometry(0.8, 3.5), frondMat)
-                    frond.position.set(Math.sin(angle) * 1.2, 9.2, Math.cos(angle) * 1.2)
-                    frond.rotation.set(-0.6 + Math.random() * 0.3, angle, Math.PI * 0.1)
-                    tree.add(frond)
+                    this._addPart(props, tree, frondGeo, frondMat, partMatrix([Math.sin(angle) * 1.2, 9.2, Math.cos(angle) * 1.2], [-0.6 + this.sceneryRand() * 0.3, angle, Math.PI * 0.1]))
                 }
                 // Coconuts
-                const coconutMat = new THREE.MeshStandardMaterial({ color: 0x5a4020, roughness: 0.8 })
                 for (let c = 0; c < 3; c++) {
-                    const nut = new THREE.Mesh(new THREE.SphereGeometry(0.12, 6, 6), coconutMat)
-                    nut.position.set(Math.sin(c * 2.1) * 0.3, 8.6, Math.cos(c * 2.1) * 0.3)
-                    tree.add(nut)
+                    props.add(tree, nutGeo, coconutMat, partMatrix([Math.sin(c * 2.1) * 0.3, 8.6, Math.cos(c * 2.1) * 0.3]))
                 }
             } else {
                 // Thick tapered trunk with twist
-                const trunkH = 4 + Math.random() * 2
-                const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.5, trunkH, 7), barkMat)
-                trunk.position.y = trunkH / 2; trunk.castShadow = true; tree.add(trunk)
+                const trunkH = 4 + this.sceneryRand() * 2
+                this._addPart(props, tree, trunkGeo, barkMat, partMatrix([0, trunkH / 2, 0], undefined, [1, trunkH, 1]), shadow)
                 // Buttress roots
                 for (let r = 0; r < 4; r++) {
-                    const angle = (r / 4) * Math.PI * 2 + Math.random() * 0.3
-                    const root = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.18, 1.8, 4), darkBark)
-                    root.position.set(Math.sin(angle) * 0.4, 0.6, Math.cos(angle) * 0.4)
-                    root.rotation.set(Math.cos(angle) * 0.5, 0, Math.sin(angle) * 0.5)
-                    tree.add(root)
+                    const angle = (r / 4) * Math.PI * 2 + this.sceneryRand() * 0.3
+                    this._addPart(props, tree, rootGeo, darkBark, partMatrix([Math.sin(angle) * 0.4, 0.6, Math.cos(angle) * 0.4], [Math.cos(angle) * 0.5, 0, Math.sin(angle) * 0.5]))
                 }
                 // Branch forks
-                const branchMat = new THREE.MeshStandardMaterial({ color: 0x3a2815 })
+                const branchMat = bm.wood
                 for (let b = 0; b < 3; b++) {
                     const ba = (b / 3) * Math.PI * 2 + i * 0.5
-                    const branch = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.12, 2.5, 5), branchMat)
-                    branch.position.set(Math.sin(ba) * 0.8, trunkH + 0.5, Math.cos(ba) * 0.8)
-                    branch.rotation.set(Math.cos(ba) * 0.6, 0, Math.sin(ba) * 0.6)
-                    branch.castShadow = true; tree.add(branch)
+                    this._addPart(props, tree, branchGeo, branchMat, partMatrix([Math.sin(ba) * 0.8, trunkH + 0.5, Math.cos(ba) * 0.8], [Math.cos(ba) * 0.6, 0, Math.sin(ba) * 0.6]), shadow)
                 }
                 // Multi-cluster foliage
-                const fMat = new THREE.MeshStandardMaterial({ color: fCols[i % fCols.length], roughness: 0.8 })
+                const fMat = bm.treeLeaf[i % bm.treeLeaf.length]
                 const clusters = [[0, trunkH + 2.2, 0, 2.2], [1.0, trunkH + 1.5, 0.8, 1.6], [-0.8, trunkH + 1.8, -0.5, 1.4], [0.3, trunkH + 3, 0.2, 1.3]]
                 for (const [fx, fy, fz, fr] of clusters) {
-                    const fol = new THREE.Mesh(new THREE.SphereGeometry(fr, 8, 6), fMat)
-                    fol.position.set(fx, fy, fz); fol.scale.set(1.1, 0.65, 1.1); fol.castShadow = true; tree.add(fol)
+                    this._addPart(props, tree, folGeo, fMat, partMatrix([fx, fy, fz], undefined, [fr * 1.1, fr * 0.65, fr * 1.1]), shadow)
                 }
                 // Hanging moss/vines from branches
                 for (let v = 0; v < 4; v++) {
-                    const vineLen = 1 + Math.random() * 2
-                    const vine = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.02, vineLen, 3), mossMat)
-                    vine.position.set((Math.random() - 0.5) * 2.5, trunkH + 1 - vineLen / 2, (Math.random() - 0.5) * 2)
-                    tree.add(vine)
+                    const vineLen = 1 + this.sceneryRand() * 2
+                    this._addPart(props, tree, mossGeo, mossMat, partMatrix([(this.sceneryRand() - 0.5) * 2.5, trunkH + 1 - vineLen / 2, (this.sceneryRand() - 0.5) * 2], undefined, [1, vineLen, 1]))
                 }
             }
 
             tree.scale.set(scale, scale, scale)
             const side = i % 2 === 0 ? -1 : 1
-            tree.position.set(side * (20 + Math.random() * 8), 0, -(i * 14 + Math.random() * 8))
-            this.scene.add(tree)
+            tree.position.set(side * (20 + this.sceneryRand() * 8), 0, -(i * 14 + this.sceneryRand() * 8))
+            this.world.add(tree)
             this.trees.push(tree)
         }
+        props.build()
+        this._applyScenery()
     }
 
-    // === PLAYER (3D Animated Soldier Model) ===
+    // === PLAYER (3D animated character model) ===
     buildPlayer() {
         this.player = new THREE.Group()
         this.playerModelLoaded = false
-        this.mixer = null
-        this.animActions = {} // { idle, walk, run }
-        this.currentAction = null
-        this.previousAction = null
+        this.animator = null // state machine over the model's clips and poses, once it has loaded
 
         // Placeholder references for collision animation compatibility
         this.lLeg = null
@@ -623,37 +1009,47 @@ export default class RelicRushGame {
         this.torso = null
         this.headGroup = null
         this.scarfEnd = null
-        this.soldierModel = null
+        this.characterModel = null
 
-        // SHIELD (invisible until powerup)
-        this.shieldMesh = new THREE.Mesh(
+        // AURA — bubble round the runner while a shield or sprint is running (invisible otherwise)
+        this.auraMesh = new THREE.Mesh(
             new THREE.SphereGeometry(1.2, 16, 12),
             new THREE.MeshStandardMaterial({ color: 0x44aaff, transparent: true, opacity: 0, metalness: 0.8, roughness: 0.1 })
         )
-        this.shieldMesh.position.y = 1
-        this.player.add(this.shieldMesh)
+        this.auraMesh.position.y = 1
+        this.player.add(this.auraMesh)
 
         // Animation time tracker
         this.animTime = 0
         this.player.position.set(0, 0, 0)
         this.scene.add(this.player)
 
-        // Load the 3D soldier model asynchronously
-        this._loadSoldierModel()
+        // Load the chosen character model asynchronously
+        this._loadCharacterModel()
     }
 
-    _loadSoldierModel() {
-        const loader = new GLTFLoader()
-        loader.load('/Soldier.glb', (gltf) => {
-            this.soldierModel = gltf.scene
+    _loadCharacterModel() {
+        const character = this.character
+        // Usually already preloaded; a character picked for the first time is fetched once and cached
+        // Dropped if the game is destroyed first
+        this.res.load(loadModel(character.url)).then((gltf) => {
+            // Clips are mapped by the manifest's names; a model that doesn't match gets the capsule instead
+            const clips = mapClips(character, gltf.animations)
+            if (!clips) {
+                console.warn(`[Relic Rush] ${character.label} model clips don't match its manifest entry:`, gltf.animations.map(c => c.name))
+                this._buildFallbackPlayer()
+                this._buildGhost(null)
+                return
+            }
+            this.characterModel = cloneModel(gltf)
             // Scale and position the model to match game proportions
-            this.soldierModel.scale.set(1.35, 1.35, 1.35)
-            this.soldierModel.position.y = 0
+            this.characterModel.scale.setScalar(character.scale)
+            this.characterModel.position.y = 0
             // Face the model forward (running direction = -Z)
-            this.soldierModel.rotation.y = 0
+            this.characterModel.rotation.y = character.facing
 
             // Enable shadows on all meshes
-            this.soldierModel.traverse((child) => {
+            this.characterModel.traverse((child) => {
                 if (child.isMesh) {
                     child.castShadow = true
                     child.receiveShadow = true
@@ -661,117 +1057,170 @@ export default class RelicRushGame {
                     if (child.material) {
                         child.material.roughness = Math.max(child.material.roughness, 0.3)
                         child.material.envMapIntensity = 0.6
+                        this._applyTint(child.material)
                     }
                 }
             })
 
-            this.player.add(this.soldierModel)
-
-            // Set up AnimationMixer
-            this.mixer = new THREE.AnimationMixer(this.soldierModel)
-
-            // Map animations by name
-            const animations = gltf.animations
-            for (const clip of animations) {
-                const action = this.mixer.clipAction(clip)
-                const name = clip.name.toLowerCase()
-                if (name.includes('idle')) {
-                    this.animActions.idle = action
-                } else if (name.includes('walk')) {
-                    this.animActions.walk = action
-                } else if (name.includes('run')) {
-                    this.animActions.run = action
-                }
-            }
-
-            // Default to idle
-            if (this.animActions.idle) {
-                this.animActions.idle.play()
-                this.currentAction = this.animActions.idle
-            }
+            this.player.add(this.characterModel)
+            this.animator = this.res.track(new RunnerAnimator(this.characterModel, clips))
 
             this.playerModelLoaded = true
-            console.log('[Relic Rush] Soldier model loaded with animations:', Object.keys(this.animActions))
-        },
-            (progress) => {
-                // Loading progress
-            },
-            (error) => {
-                console.error('[Relic Rush] Failed to load Soldier model:', error)
-                // Fallback: build a simple placeholder if model fails
-                this._buildFallbackPlayer()
-            })
+            this._buildGhost(gltf, clips)
+            console.log(`[Relic Rush] ${character.label} model loaded with animations:`, Object.keys(clips))
+        }, (error) => {
+            console.error(`[Relic Rush] Failed to load ${character.label} model:`, error)
+            // Fallback: build a simple placeholder if model fails
+            this._buildFallbackPlayer()
+            this._buildGhost(null)
+        })
     }
 
     _buildFallbackPlayer() {
         // Simple colored capsule as fallback
         const mat = new THREE.MeshStandardMaterial({ color: 0xff6633, roughness: 0.5 })
+        this._applyTint(mat)
+        this.characterModel = new THREE.Group()
         const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 1.0, 8, 12), mat)
         body.position.y = 1; body.castShadow = true
-        this.player.add(body)
+        this.characterModel.add(body)
         const head = new THREE.Mesh(new THREE.SphereGeometry(0.25, 10, 10), mat)
         head.position.y = 2; head.castShadow = true
-        this.player.add(head)
+        this.characterModel.add(head)
+        this.player.add(this.characterModel)
+        // No skeleton — the animator poses the capsule as a whole
+        this.animator = this.res.track(new RunnerAnimator(this.characterModel))
         this.playerModelLoaded = true
     }
 
-    // Crossfade to a new animation action smoothly
-    _fadeToAction(actionName, duration = 0.25) {
-        const newAction = this.animActions[actionName]
-        if (!newAction || newAction === this.currentAction) return
+    // Runner tint multiplies over the model's own colours
+    _applyTint(mat) {
+        const tint = cosmeticItem('tint', this.look.tint).color
+        if (tint !== null) mat.color.setHex(tint)
+    }
 
-        this.previousAction = this.currentAction
-        this.currentAction = newAction
+    // === TRAIL (cosmetic particles left behind the runner) ===
+    buildTrail() {
+        const item = cosmeticItem('trail', this.look.trail)
+        if (item.color === null) return
+        const n = 60
+        const g = new THREE.BufferGeometry()
+        g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(n * 3), 3))
+        g.setAttribute('color', new THREE.BufferAttribute(new Float32Array(n * 3), 3))
+        const m = new THREE.PointsMaterial({ size: 0.18, vertexColors: true, transparent: true, blending: THREE.AdditiveBlending, depthWrite: false })
+        this.trail = { points: new THREE.Points(g, m), ages: new Float32Array(n).fill(1), next: 0, timer: 0, color: new THREE.Color(item.color) }
+        this.scene.add(this.trail.points)
+    }
 
-        if (this.previousAction) {
-            this.previousAction.fadeOut(duration)
+    // Puffs spawn at the runner's feet, scroll away with the world and fade out (black is invisible when added)
+    _updateTrail(dt, mv) {
+        const t = this.trail
+        if (!t) return
+        const pos = t.points.geometry.attributes.position, col = t.points.geometry.attributes.color, n = t.ages.length
+        t.timer += dt
+        while (t.timer > 0.015) {
+            t.timer -= 0.015
+            const i = t.next; t.next = (t.next + 1) % n
+            pos.setXYZ(i, this.player.position.x + (Math.random() - 0.5) * 0.4, this.player.position.y + 0.2 + Math.random() * 0.8, 0.4)
+            t.ages[i] = 0
         }
+        for (let i = 0; i < n; i++) {
+            t.ages[i] = Math.min(1, t.ages[i] + dt / 0.6)
+            pos.setZ(i, pos.getZ(i) + mv); pos.setY(i, pos.getY(i) + dt * 0.4)
+            const fade = 1 - t.ages[i]
+            col.setXYZ(i, t.color.r * fade, t.color.g * fade, t.color.b * fade)
+        }
+        pos.needsUpdate = true; col.needsUpdate = true
+    }
+
+    // === GHOST (translucent runner replaying a saved best run) ===
+    _buildGhost(gltf, clips) {
+        if (!this.ghostSim || this.ghost) return
+        this.ghost = new THREE.Group()
+        const mat = new THREE.MeshStandardMaterial({ color: 0x66ddff, emissive: 0x2288aa, emissiveIntensity: 0.4, transparent: true, opacity: 0.35, depthWrite: false })
+        if (gltf) {
+            const model = SkeletonUtils.clone(gltf.scene)
+            model.scale.setScalar(this.character.scale)
+            model.rotation.y = this.character.facing
+            model.traverse((child) => { if (child.isMesh) { child.material = mat; child.castShadow = false; child.receiveShadow = false } })
+            this.ghost.add(model)
+            this.ghostMixer = this.res.mixer(new THREE.AnimationMixer(model), model)
+            this.ghostMixer.clipAction(clips.run).play()
+        } else {
+            const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 1.0, 8, 12), mat)
+            body.position.y = 1; this.ghost.add(body)
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.25, 10, 10), mat)
+            head.position.y = 2; this.ghost.add(head)
+        }
+        this.ghost.visible = false
+        this.world.add(this.ghost)
+    }
+
+    _updateGhost(dt) {
+        if (!this.ghost) return
+        const g = this.ghostSim
+        // Ghost sits at its own distance along the track, relative to the live runner at z = 0
+        const z = this.sim.dist - g.dist
+        this.ghost.position.set(g.playerX, g.playerY, z)
+        // Hidden once a corner lies between the two — the straight track no longer says where it is
+        this.ghost.visible = z > -120 && z < 12 && g.turns === this.sim.turns
+        if (g.gameOver) {
+            this.ghost.rotation.x += (Math.PI / 2 - this.ghost.rotation.x) * 8 * dt
+        } else {
+            this.ghost.scale.y += ((g.sliding ? 0.6 : 1) - this.ghost.scale.y) * 15 * dt
+            if (this.ghostMixer) this.ghostMixer.update(dt * Math.max(0.8, Math.min(g.speed / g.INIT_SPEED * 0.85, 2.2)))
+        }
+    }
 
-        newAction
-            .reset()
-            .setEffectiveTimeScale(1)
-            .setEffectiveWeight(1)
-            .fadeIn(duration)
-            .play()
+    // What the animator should show: the intro and a stopped run stand idle, a crash knocks the runner down
+    _animContext() {
+        const sim = this.sim
+        if (this.collisionPhase !== 'none') return { mode: 'crash' }
+        if (this.introPhase !== 'none' || !sim.running) return { mode: 'idle' }
+        return { mode: 'run', sliding: sim.sliding, jumping: sim.jumping, speedRatio: sim.speed / sim.INIT_SPEED }
+    }
+
+    _animate(dt) {
+        if (this.animator) this.animator.update(dt, this._animContext())
     }
 
     // === OBSTACLES (High Quality Jungle & Ruins) ===
     buildObstacles() {
-        const rockPBR = new THREE.MeshStandardMaterial({ color: 0x5a5a5a, roughness: 0.95, metalness: 0.1 })
-        const mossPBR = new THREE.MeshStandardMaterial({ color: 0x2a6a1a, roughness: 0.9 })
-        const woodPBR = new THREE.MeshStandardMaterial({ color: 0x3a2510, roughness: 0.95 })
-        const barkDark = new THREE.MeshStandardMaterial({ color: 0x2a1a08, roughness: 0.95 })
-        const leafPBR = new THREE.MeshStandardMaterial({ color: 0x1a5a2a, roughness: 0.8 })
-        const ruinPBR = new THREE.MeshStandardMaterial({ color: 0x7a6a5a, roughness: 0.9 })
-
-        for (let i = 0; i < this.OBS_N; i++) {
-            const roll = Math.random()
+        const bm = this.biomeMats
+        const rockPBR = bm.rock
+        const mossPBR = bm.obsMoss
+        const woodPBR = bm.wood
+        const barkDark = bm.bark
+        const leafPBR = bm.leaf
+        const ruinPBR = bm.ruin
+
+        for (const data of this.sim.obstacles) {
             let o
-            if (roll > 0.6) {
+            if (data.type === 'block') {
                 // === JUNGLE BOULDER CLUSTER (Block / Dodge) ===
-                o = new THREE.Group(); o.userData.type = 'block'; o.userData.hh = 2.8
+                o = new THREE.Group(); o.userData.type = 'block'
                 // Main boulder (multi-faceted geometric)
                 const mainGeo = new THREE.DodecahedronGeometry(1.4, 1)
                 const mainRock = new THREE.Mesh(mainGeo, rockPBR)
                 mainRock.scale.set(1.1, 0.9, 0.8); mainRock.position.y = 0.2; mainRock.castShadow = true; o.add(mainRock)
                 // Side rocks to make it look like a cluster
                 for (let r = 0; r < 3; r++) {
-                    const sideRock = new THREE.Mesh(new THREE.DodecahedronGeometry(0.7 + Math.random() * 0.4, 0), rockPBR)
-                    sideRock.position.set((Math.random() - 0.5) * 1.5, -0.3 + Math.random() * 0.4, (Math.random() - 0.5) * 1.2)
-                    sideRock.rotation.set(Math.random(), Math.random(), Math.random()); sideRock.castShadow = true; o.add(sideRock)
+                    const sideRock = new THREE.Mesh(new THREE.DodecahedronGeometry(0.7 + this.rand() * 0.4, 0), rockPBR)
+                    sideRock.position.set((this.rand() - 0.5) * 1.5, -0.3 + this.rand() * 0.4, (this.rand() - 0.5) * 1.2)
+                    sideRock.rotation.set(this.rand(), this.rand(), this.rand()); sideRock.castShadow = true; o.add(sideRock)
                 }
                 // Heavy moss patches
                 for (let m = 0; m < 5; m++) {
-                    const mossPatch = new THREE.Mesh(new THREE.SphereGeometry(0.4 + Math.random() * 0.3, 6, 5), mossPBR)
-                    mossPatch.position.set((Math.random() - 0.5) * 1.6, 0.5 + Math.random() * 0.8, (Math.random() - 0.5) * 1.2)
+                    const mossPatch = new THREE.Mesh(new THREE.SphereGeometry(0.4 + this.rand() * 0.3, 6, 5), mossPBR)
+                    mossPatch.position.set((this.rand() - 0.5) * 1.6, 0.5 + this.rand() * 0.8, (this.rand() - 0.5) * 1.2)
                     mossPatch.scale.set(1.3, 0.4, 1.1); o.add(mossPatch)
                 }
                 // Small plant growing on rock
                 const plant = new THREE.Mesh(new THREE.SphereGeometry(0.2, 5, 4), leafPBR)
                 plant.position.set(0.6, 1.1, 0.3); plant.scale.set(1, 0.5, 1); o.add(plant)
-            } else if (roll > 0.3) {
+            } else if (data.type === 'overhead') {
                 // === RUINED TEMPLE ARCH / VINE OVERHANG (Overhead / Slide) ===
-                o = new THREE.Group(); o.userData.type = 'overhead'; o.userData.hh = 3.5
+                o = new THREE.Group(); o.userData.type = 'overhead'
                 // Ancient stone header beam
                 const beam = new THREE.Mesh(new THREE.BoxGeometry(4.5, 0.6, 1.2), ruinPBR)
                 beam.position.y = 0.5; beam.castShadow = true; o.add(beam)
@@ -784,18 +1233,18 @@ export default class RelicRushGame {
                 keyStone.position.y = 0.5; o.add(keyStone)
                 // Massive hanging moss/vines
                 for (let v = 0; v < 8; v++) {
-                    const vH = 1.5 + Math.random() * 2
+                    const vH = 1.5 + this.rand() * 2
                     const vine = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.08, vH, 4), mossPBR)
-                    vine.position.set(-1.8 + v * 0.5, -vH / 2 + 0.2, (Math.random() - 0.5) * 0.4)
-                    vine.rotation.z = (Math.random() - 0.5) * 0.2
+                    vine.position.set(-1.8 + v * 0.5, -vH / 2 + 0.2, (this.rand() - 0.5) * 0.4)
+                    vine.rotation.z = (this.rand() - 0.5) * 0.2
                     vine.castShadow = true; o.add(vine)
                 }
             } else {
                 // === FALLEN BANYAN TRUNK (Barrier / Jump) ===
-                o = new THREE.Group(); o.userData.type = 'barrier'; o.userData.hh = 0.8
+                o = new THREE.Group(); o.userData.type = 'barrier'
                 // Thick, twisted main trunk (tapered)
                 const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.5, 3.8, 8), woodPBR)
-                trunk.rotation.z = Math.PI / 2 + (Math.random() - 0.5) * 0.1; trunk.castShadow = true; o.add(trunk)
+                trunk.rotation.z = Math.PI / 2 + (this.rand() - 0.5) * 0.1; trunk.castShadow = true; o.add(trunk)
                 // Broken splintered ends
                 const endL = new THREE.Mesh(new THREE.ConeGeometry(0.42, 0.8, 6), barkDark)
                 endL.position.x = -1.9; endL.rotation.z = Math.PI / 2; o.add(endL)
@@ -804,8 +1253,8 @@ export default class RelicRushGame {
                 // Broken upward branches
                 for (let b = 0; b < 2; b++) {
                     const br = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.15, 1.2, 5), woodPBR)
-                    br.position.set(-0.8 + b * 1.6, 0.5, (Math.random() - 0.5) * 0.4)
-                    br.rotation.set((Math.random() - 0.5), 0, (Math.random() - 0.5))
+                    br.position.set(-0.8 + b * 1.6, 0.5, (this.rand() - 0.5) * 0.4)
+                    br.rotation.set((this.rand() - 0.5), 0, (this.rand() - 0.5))
                     br.castShadow = true; o.add(br)
                     // Leaves on branch
                     const lf = new THREE.Mesh(new THREE.SphereGeometry(0.25, 5, 5), leafPBR)
@@ -816,34 +1265,9 @@ export default class RelicRushGame {
                 tMoss.position.set(0, 0.42, 0); o.add(tMoss)
             }
             o.castShadow = true; o.receiveShadow = true
-            // === SMART LANE PLACEMENT — never block all 3 lanes ===
-            const baseZ = -(40 + i * 28 + Math.random() * 10)
-            const lane = this._pickSafeLane(baseZ)
-            const yPos = o.userData.type === 'overhead' ? 2.5 : o.userData.hh / 2
-            o.position.set(lane * this.LANE_W, yPos, baseZ)
-            o.userData.active = true; o.userData.lane = lane
-            this.scene.add(o); this.obs.push(o)
-        }
-    }
-
-    // Pick a lane that won't create a 3-lane wall with nearby obstacles
-    _pickSafeLane(z) {
-        const MIN_Z_GAP = 5 // obstacles within this Z range are "same row"
-        const nearbyLanes = new Set()
-        for (const o of this.obs) {
-            if (Math.abs(o.position.z - z) < MIN_Z_GAP) {
-                nearbyLanes.add(o.userData.lane)
-            }
+            o.position.set(data.x, data.y, data.z)
+            this.world.add(o); this.obs.push(o)
         }
-        // If 2 lanes already taken nearby, force the third lane to be free
-        if (nearbyLanes.size >= 2) {
-            // Find which lane is free and place there? NO — we must leave it free
-            // So pick one of the already-taken lanes to share
-            const taken = [...nearbyLanes]
-            return taken[Math.floor(Math.random() * taken.length)]
-        }
-        // Otherwise pick any lane
-        return Math.floor(Math.random() * 3) - 1
     }
 
     // === COINS ===
@@ -853,30 +1277,52 @@ export default class RelicRushGame {
         // Add inner diamond
         const iGeo = new THREE.BoxGeometry(0.18, 0.18, 0.05)
         const iMat = new THREE.MeshStandardMaterial({ color: 0xff6600, emissive: 0xff4400, emissiveIntensity: 0.5 })
-        for (let i = 0; i < this.COIN_N; i++) {
+        // Every coin is two instances — ring and diamond — placed from its (empty) group
+        for (const data of this.sim.coinList) {
             const g = new THREE.Group()
-            const coin = new THREE.Mesh(cGeo, cMat); g.add(coin)
-            const inner = new THREE.Mesh(iGeo, iMat); inner.rotation.z = Math.PI / 4; g.add(inner)
-            const lane = Math.floor(Math.random() * 3) - 1
-            g.position.set(lane * this.LANE_W, 1.3 + Math.random() * 0.3, -(15 + i * 7 + Math.random() * 4))
-            g.rotation.x = Math.PI / 2; g.userData.active = true
-            this.scene.add(g); this.coinArr.push(g)
+            this.props.add(g, cGeo, cMat, new THREE.Matrix4())
+            this.props.add(g, iGeo, iMat, partMatrix([0, 0, 0], [0, 0, Math.PI / 4]))
+            g.position.set(data.x, 1.3, data.z)
+            g.rotation.x = Math.PI / 2
+            this.world.add(g); this.coinArr.push(g)
         }
     }
 
     // === POWER-UPS ===
+    // Each pickup slot keeps its mesh; when the simulation recycles it as another type the look is swapped
     buildPowerUps() {
-        const types = ['shield', 'magnet'], cols = { shield: 0x44aaff, magnet: 0xff44aa }
-        for (let i = 0; i < 4; i++) {
-            const type = types[i % 2]
-            const mat = new THREE.MeshStandardMaterial({ color: cols[type], metalness: 0.7, roughness: 0.2, emissive: cols[type], emissiveIntensity: 0.4, transparent: true, opacity: 0.9 })
-            const m = new THREE.Mesh(new THREE.OctahedronGeometry(0.4, 0), mat)
-            const lane = Math.floor(Math.random() * 3) - 1
-            m.position.set(lane * this.LANE_W, 1.5, -(60 + i * 55 + Math.random() * 30))
-            m.userData.type = type; m.userData.active = true
-            const glow = new THREE.Mesh(new THREE.SphereGeometry(0.6, 8, 8), new THREE.MeshBasicMaterial({ color: cols[type], transparent: true, opacity: 0.15 }))
-            m.add(glow); this.scene.add(m); this.pups.push(m)
+        this.pupLooks = {}
+        this.pupGlowGeo = new THREE.SphereGeometry(0.6, 8, 8)
+        for (const data of this.sim.powerUps) {
+            const m = new THREE.Mesh()
+            m.add(new THREE.Mesh(this.pupGlowGeo))
+            this._dressPowerUp(m, data.type)
+            m.position.set(data.x, 1.5, data.z)
+            this.world.add(m); this.pups.push(m)
+        }
+    }
+
+    // Geometry and materials per type, built from the registry the first time that type shows up
+    _powerUpLook(type) {
+        if (!this.pupLooks[type]) {
+            const def = POWER_UPS[type]
+            this.pupLooks[type] = {
+                geo: def.mesh(THREE),
+                mat: new THREE.MeshStandardMaterial({ color: def.color, metalness: 0.7, roughness: 0.2, emissive: def.color, emissiveIntensity: 0.4, transparent: true, opacity: 0.9 }),
+                glow: new THREE.MeshBasicMaterial({ color: def.color, transparent: true, opacity: 0.15 })
+            }
         }
+        return this.pupLooks[type]
+    }
+
+    _dressPowerUp(m, type) {
+        const look = this._powerUpLook(type)
+        m.geometry = look.geo; m.material = look.mat; m.children[0].material = look.glow
+        m.userData.type = type
+    }
+
+    _emitPowerUps() {
+        if (this.callbacks.onPowerUpsChange) this.callbacks.onPowerUpsChange(Object.keys(this.sim.effects))
     }
 
     // === PARTICLES ===
@@ -888,8 +1334,8 @@ export default class RelicRushGame {
             pos[i * 3 + 2] = (Math.random() - 0.5) * 100 - 30
         }
         const g = new THREE.BufferGeometry(); g.setAttribute('position', new THREE.BufferAttribute(pos, 3))
-        const m = new THREE.PointsMaterial({ color: 0x88ffaa, size: 0.06, transparent: true, opacity: 0.5, blending: THREE.AdditiveBlending, depthWrite: false })
-        this.particles = new THREE.Points(g, m); this.scene.add(this.particles)
+        const m = new THREE.PointsMaterial({ color: BIOMES[0].particle, size: BIOMES[0].particleSize, transparent: true, opacity: 0.5, blending: THREE.AdditiveBlending, depthWrite: false })
+        this.particles = new THREE.Points(g, m); this.world.add(this.particles)
     }
 
     // === PARACHUTE ===
@@ -898,11 +1344,12 @@ export default class RelicRushGame {
         const chute = new THREE.Group()
         // Canopy
         const canopyGeo = new THREE.SphereGeometry(1.8, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2)
-        const canopyMat = new THREE.MeshStandardMaterial({ color: 0xff4420, roughness: 0.6, side: THREE.DoubleSide, transparent: true, opacity: 0.9 })
+        const colors = cosmeticItem('parachute', this.look.parachute)
+        const canopyMat = new THREE.MeshStandardMaterial({ color: colors.canopy, roughness: 0.6, side: THREE.DoubleSide, transparent: true, opacity: 0.9 })
         const canopy = new THREE.Mesh(canopyGeo, canopyMat); canopy.position.y = 3; chute.add(canopy)
         // Stripes
         const stripe = new THREE.Mesh(new THREE.SphereGeometry(1.82, 12, 8, 0, Math.PI / 3, 0, Math.PI / 2),
-            new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.6, side: THREE.DoubleSide, transparent: true, opacity: 0.85 }))
+            new THREE.MeshStandardMaterial({ color: colors.stripe, roughness: 0.6, side: THREE.DoubleSide, transparent: true, opacity: 0.85 }))
         stripe.position.y = 3; chute.add(stripe)
         // Strings
         const stringMat = new THREE.MeshBasicMaterial({ color: 0x444444 })
@@ -928,34 +1375,162 @@ export default class RelicRushGame {
 
     // === CONTROLS ===
     start() {
-        this.running = false; this.gameOver = false; this.score = 0; this.coins = 0
-        this.speed = this.INIT_SPEED; this.curLane = 0; this.tgtLane = 0
-        this.playerY = 25; this.jumpVel = 0; this.jumping = false
-        this.dist = 0; this.level = 1; this.combo = 1; this.comboT = 0
-        this.shieldOn = false; this.magnetOn = false
-        this.collisionPhase = 'none'; this.collisionTimer = 0
+        if (this.paused) this._unpause()
+        this.sim.reset()
+        if (this.ghostSim) this.ghostSim.reset()
+        this.accumulator = 0; this.lastDist = 0
+        this._emitPowerUps()
+        for (const p of this.cornerPieces) this._removeCornerPiece(p)
+        this.cornerPieces = [this._buildCornerPiece(this.sim.nextCorner)]
+        this.turnAnim = null; this.world.rotation.y = 0; this.world.position.z = 0
+        this._resetBiome()
+        this._updateCorners()
+        this._syncProps()
+        this.collisionPhase = 'none'; this.collisionTimer = 0; this.reviveOffer = null
+        this.player.visible = true
         this.footstepTimer = 0; this.breathTimer = 0
         this.player.rotation.set(0, 0, 0); this.player.scale.set(1, 1, 1)
         this.player.position.set(0, 25, 0)
-        // Reset soldier model rotation if loaded
-        if (this.soldierModel) {
-            this.soldierModel.rotation.set(0, 0, 0)
-        }
-        // Transition to idle animation when starting
-        if (this.playerModelLoaded && this.animActions.idle) {
-            this._fadeToAction('idle', 0.1)
-        }
+        // Back to standing idle when starting
+        if (this.animator) this.animator.reset()
         // Start parachute intro
         this.introPhase = 'parachute'; this.introTimer = 0
         this.buildParachute()
-        playParachuteWind()
+        this.sounds.playParachuteWind()
+        this.clock.start()
+    }
+    moveLeft() { if (!this.paused) this.sim.moveLeft() }
+    moveRight() { if (!this.paused) this.sim.moveRight() }
+    jump() { if (!this.paused) this.sim.jump() }
+    slide() { if (!this.paused) this.sim.slide() }
+    // A Temple Guardian's trick — the simulation decides whether it's allowed
+    guardianAct(action, lane) {
+        const ok = !this.replayRun && !this.paused && this.sim.guardianAct(action, lane)
+        if (this.callbacks.onGuardianAct) this.callbacks.onGuardianAct(action, ok)
+        return ok
+    }
+    endGame() { if (this.paused) this._unpause(); if (this.reviveOffer) this.declineRevive(); this.sim.end() }
+    isReplay() { return !!this.replayRun }
+    // Seed, score and input log of this run, for saving as a replay or ghost
+    getRunRecord() { return { ...this.sim.toRecord(), mode: this.mode } }
+
+    // === PAUSE ===
+    // Only a run in progress can pause — not once the crash sequence has started, unless the phone has
+    // dropped: then the crash and any revive offer hold until it's back, so the player still gets to choose
+    canPause(reason) {
+        if (this.collisionPhase !== 'none') return reason === 'controller'
+        return !this.sim.gameOver
+    }
+
+    pause(reason = 'manual') {
+        if (!this.canPause(reason)) return
+        if (this.paused && !this.countdown) return
+        this._clearCountdown()
+        this.paused = true; this.pauseReason = reason
+        this.clock.stop()
+        this.sounds.pauseRunAudio()
+        this._emitPause()
+    }
+
+    // Counts down 3-2-1, then the clock, mixer and audio pick up where they stopped
+    resume() {
+        if (!this.paused || this.countdown || this.contextLost) return
+        this.countdown = 3
+        this._emitPause()
+        this.countdownTimer = this.res.interval(() => {
+            this.countdown--
+            if (this.countdown > 0) { this._emitPause(); return }
+            this._unpause()
+        }, 1000)
+    }
+
+    _unpause() {
+        this._clearCountdown()
+        this.paused = false; this.pauseReason = null
         this.clock.start()
+        this.sounds.resumeRunAudio()
+        this._emitPause()
+    }
+
+    togglePause() { if (this.paused) this.resume(); else this.pause() }
+
+    _clearCountdown() {
+        // The registry hands back a function that cancels the interval
+        if (this.countdownTimer) this.countdownTimer()
+        this.countdownTimer = null; this.countdown = 0
+    }
+
+    // === GRAPHICS CONTEXT ===
+    // A GPU reset or memory pressure on a backgrounded tab can take the WebGL context away. The run
+    // freezes and pauses; once the browser gives the context back, everything is uploaded again and the
+    // run carries on with the usual 3-2-1 (unless the player had paused it already)
+    _onContextLost() {
+        this.contextLost = true
+        this.pause('graphics')
+        if (this.callbacks.onGraphicsChange) this.callbacks.onGraphicsChange({ lost: true })
+    }
+
+    _onContextRestored() {
+        this.contextLost = false
+        this._reuploadGpu()
+        if (this.callbacks.onGraphicsChange) this.callbacks.onGraphicsChange({ lost: false })
+        if (this.paused && this.pauseReason === 'graphics') this.resume()
+    }
+
+    // Textures and programs are rebuilt from what's still in memory; shadow maps are made afresh
+    _reuploadGpu() {
+        const reupload = m => { m.needsUpdate = true; for (const v of Object.values(m)) if (v && v.isTexture) v.needsUpdate = true }
+        this.scene.traverse(o => {
+            if (o.material) (Array.isArray(o.material) ? o.material : [o.material]).forEach(reupload)
+            if (o.isInstancedMesh) { o.instanceMatrix.needsUpdate = true; if (o.instanceColor) o.instanceColor.needsUpdate = true }
+        })
+        // Cached biome sets not on screen right now
+        for (const set of Object.values(this.biomeSets)) {
+            for (const m of Object.values(set)) (Array.isArray(m) ? m : [m]).forEach(reupload)
+        }
+        const sun = this.sunLight
+        if (sun.shadow.map) { sun.shadow.map.dispose(); sun.shadow.map = null }
+    }
+
+    _emitPause() {
+        if (this.callbacks.onPauseChange) this.callbacks.onPauseChange({ paused: this.paused, reason: this.pauseReason, countdown: this.countdown })
+    }
+
+    // === REVIVE ===
+    _offerRevive() {
+        if (this.replayRun || !this.revives || !this.sim.canRevive()) return
+        this.reviveOffer = { cost: this.sim.reviveCost(), timeLeft: this.REVIVE_WINDOW }
+        this._emitReviveOffer()
+    }
+
+    _emitReviveOffer() {
+        const o = this.reviveOffer
+        if (this.callbacks.onReviveOffer) this.callbacks.onReviveOffer(o ? { cost: o.cost, seconds: Math.ceil(o.timeLeft) } : null)
+    }
+
+    // Stand back up and pick the run up where it stopped
+    acceptRevive() {
+        if (this.collisionPhase !== 'lying' || !this.sim.revive()) return
+        if (this.reviveOffer) { this.reviveOffer = null; this._emitReviveOffer() }
+        this.collisionPhase = 'none'; this.collisionTimer = 0
+        this.player.rotation.set(0, 0, 0); this.player.position.set(this.sim.playerX, 0, 0)
+        this.camera.position.set(0, 6.5, 10)
+        this.accumulator = 0
+        if (this.animator) this.animator.force('run')
+        this.sounds.startBgMusic()
+    }
+
+    declineRevive() {
+        if (!this.reviveOffer) return
+        this.reviveOffer = null; this._emitReviveOffer()
+        this._finishGameOver()
+    }
+
+    _finishGameOver() {
+        this.collisionPhase = 'none'
+        this.sounds.playGameOver()
+        if (this.callbacks.onGameOver) this.callbacks.onGameOver(this.sim.score, this.sim.coins, this.sim.scoreBreakdown())
     }
-    moveLeft() { if (!this.gameOver && this.introPhase === 'none' && this.tgtLane > -1) this.tgtLane-- }
-    moveRight() { if (!this.gameOver && this.introPhase === 'none' && this.tgtLane < 1) this.tgtLane++ }
-    jump() { if (!this.gameOver && this.introPhase === 'none' && !this.jumping) { this.jumping = true; this.jumpVel = this.JUMP_FORCE } }
-    slide() { if (!this.gameOver && this.introPhase === 'none') { this.sliding = true; this.slideT = 0.6 } }
-    endGame() { if (!this.gameOver) this.doGameOver() }
 
     // === UPDATE ===
     update(dt) {
@@ -963,57 +1538,44 @@ export default class RelicRushGame {
         if (this.introPhase === 'parachute') {
             this.introTimer += dt
             // Descend from sky
-            this.playerY = Math.max(0, 25 - this.introTimer * 10)
-            this.player.position.y = this.playerY
+            this.player.position.y = Math.max(0, 25 - this.introTimer * 10)
             this.player.position.x = Math.sin(this.introTimer * 1.5) * 0.5
             // Sway parachute
             if (this.parachuteMesh) {
                 this.parachuteMesh.rotation.z = Math.sin(this.introTimer * 2) * 0.15
                 this.parachuteMesh.rotation.x = Math.sin(this.introTimer * 1.3) * 0.1
             }
-            if (this.playerY <= 0) {
-                this.playerY = 0; this.player.position.y = 0
+            if (this.player.position.y <= 0) {
+                this.player.position.y = 0
                 this.player.position.x = 0
                 this.introPhase = 'landing'; this.introTimer = 0
                 this.removeParachute()
-                playLanding()
+                this.sounds.playLanding()
+                if (this.animator) this.animator.force('land')
             }
-            // Update mixer during intro
-            if (this.mixer) this.mixer.update(dt)
-            this.renderer.render(this.scene, this.camera)
+            this._animate(dt)
+            this._draw()
             return
         }
         if (this.introPhase === 'landing') {
             this.introTimer += dt
-            // Brief crouched landing pose then stand up
-            const t = this.introTimer
-            this.player.scale.y = t < 0.3 ? 0.7 : Math.min(1, 0.7 + (t - 0.3) * 1.5)
-            if (t > 0.8) {
+            // Brief crouched landing pose (the animator's land state) then stand up
+            if (this.introTimer > 0.8) {
                 this.introPhase = 'none'
-                this.player.scale.y = 1
-                this.running = true
-                startBgMusic()
-                // Start run animation when gameplay begins
-                if (this.playerModelLoaded) {
-                    this._fadeToAction('run', 0.3)
-                }
+                this.sim.begin()
+                if (this.ghostSim) this.ghostSim.begin()
+                this.accumulator = 0; this.lastDist = this.sim.dist
+                this.sounds.startBgMusic()
             }
-            // Update mixer during landing
-            if (this.mixer) this.mixer.update(dt)
-            this.renderer.render(this.scene, this.camera)
+            this._animate(dt)
+            this._draw()
             return
         }
 
-        // Handle collision animation — model-based ragdoll
+        // Handle collision animation — the animator stumbles, then knocks the runner down
         if (this.collisionPhase !== 'none') {
             this.collisionTimer += dt
             if (this.collisionPhase === 'impact') {
-                // Stop run animation, switch to idle (frozen)
-                if (this.mixer && this.collisionTimer < 0.05) {
-                    this._fadeToAction('idle', 0.1)
-                    // Freeze the mixer to stop animation
-                    if (this.currentAction) this.currentAction.paused = true
-                }
                 // Screen shake
                 this.camera.position.x = (Math.random() - 0.5) * 0.4
                 this.camera.position.y = 6.5 + (Math.random() - 0.5) * 0.3
@@ -1021,159 +1583,138 @@ export default class RelicRushGame {
                 this.player.position.z += dt * 5
                 if (this.collisionTimer > 0.3) { this.collisionPhase = 'falling'; this.collisionTimer = 0; this.camera.position.x = 0 }
             } else if (this.collisionPhase === 'falling') {
-                // Body falls forward using whole-player rotation
-                const t = Math.min(this.collisionTimer / 0.5, 1)
-                this.player.rotation.x = t * (Math.PI / 2 + 0.3)
-                this.playerY = Math.max(-0.5, this.playerY - dt * 12)
-                this.player.position.y = this.playerY
-                if (this.collisionTimer > 0.5) { this.collisionPhase = 'lying'; this.collisionTimer = 0 }
+                // Drop back to the ground if the crash came mid-jump
+                this.player.position.y = Math.max(0, this.player.position.y - dt * 12)
+                if (this.collisionTimer > 0.5) { this.collisionPhase = 'lying'; this.collisionTimer = 0; this._offerRevive() }
             } else if (this.collisionPhase === 'lying') {
-                // Lie flat on ground for 2 seconds
-                this.player.rotation.x = Math.PI / 2 + 0.3
-                this.player.position.y = -0.5
+                // Lie flat on ground for 2 seconds — or for as long as a revive is on offer
                 // Camera slowly pulls back
                 this.camera.position.y += (8 - this.camera.position.y) * dt * 0.5
-                if (this.collisionTimer > 2) {
-                    this.collisionPhase = 'none'
-                    playGameOver()
-                    if (this.callbacks.onGameOver) this.callbacks.onGameOver(this.score, this.coins)
-                }
+                if (this.replayRun && this.sim.replayRevives()) {
+                    if (this.collisionTimer > 1) this.acceptRevive()
+                } else if (this.reviveOffer) {
+                    const shown = Math.ceil(this.reviveOffer.timeLeft)
+                    this.reviveOffer.timeLeft -= dt
+                    if (this.reviveOffer.timeLeft <= 0) this.declineRevive()
+                    else if (Math.ceil(this.reviveOffer.timeLeft) !== shown) this._emitReviveOffer()
+                } else if (this.collisionTimer > 2) this._finishGameOver()
             }
-            if (this.mixer) this.mixer.update(dt)
-            this.renderer.render(this.scene, this.camera)
+            this._animate(dt)
+            this._draw()
             return
         }
 
-        if (!this.running || this.gameOver) return
-        this.speed = Math.min(this.speed + this.SPEED_INC * dt, this.MAX_SPEED)
-        const nl = Math.floor(this.dist / 500) + 1
-        if (nl > this.level) { this.level = nl; this.speed = Math.min(this.speed + 2, this.MAX_SPEED) }
-        const mv = this.speed * dt; this.dist += mv; this.score = Math.floor(this.dist)
-        if (this.comboT > 0) { this.comboT -= dt; if (this.comboT <= 0) this.combo = 1 }
-        if (this.shieldOn) { this.shieldT -= dt; this.shieldMesh.material.opacity = 0.3 + Math.sin(Date.now() * 0.008) * 0.1; if (this.shieldT <= 0) { this.shieldOn = false; this.shieldMesh.material.opacity = 0 } }
-        if (this.magnetOn) { this.magnetT -= dt; if (this.magnetT <= 0) this.magnetOn = false }
-
-        // Player movement — INSTANT lane switching for responsive controls
-        this.player.position.x += (this.tgtLane * this.LANE_W - this.player.position.x) * 12 * dt
-        if (this.jumping) { this.playerY += this.jumpVel * dt; this.jumpVel -= this.GRAVITY * dt; if (this.playerY <= 0) { this.playerY = 0; this.jumping = false; this.jumpVel = 0 } }
-        this.player.position.y = this.playerY
-        if (this.sliding) { this.slideT -= dt; if (this.slideT <= 0) this.sliding = false }
-        this.player.rotation.x += ((this.sliding ? 0.8 : 0) - this.player.rotation.x) * 20 * dt
-        // Scale player down when sliding for visual feedback
-        const slideScale = this.sliding ? 0.6 : 1.0
-        this.player.scale.y += (slideScale - this.player.scale.y) * 15 * dt
-
-        // === SMOOTH RUNNING ANIMATION (3D Model + AnimationMixer) ===
-        this.animTime += dt * this.speed * 0.55
-
-        if (this.playerModelLoaded && this.mixer) {
-            // Sync animation speed with game speed for natural feel
-            const speedRatio = this.speed / this.INIT_SPEED
-            const animSpeed = Math.max(0.8, Math.min(speedRatio * 0.85, 2.2))
-            if (this.currentAction) {
-                this.currentAction.setEffectiveTimeScale(animSpeed)
+        if (!this.sim.running) return
+        // Advance the rules in fixed steps so physics is the same at any frame rate
+        const sim = this.sim
+        this.accumulator += dt
+        while (this.accumulator >= FIXED_DT && sim.running) {
+            sim.step(FIXED_DT)
+            if (this.ghostSim) {
+                this.ghostSim.step(FIXED_DT)
+                // The ghost's own revives cost it no time
+                if (this.ghostSim.gameOver && this.ghostSim.replayRevives()) this.ghostSim.revive()
             }
-
-            // Decide which animation to play based on state
-            if (this.sliding) {
-                // When sliding, slow down animation and scale character down
-                if (this.currentAction !== this.animActions.walk && this.animActions.walk) {
-                    this._fadeToAction('walk', 0.15)
-                }
-                if (this.currentAction) this.currentAction.setEffectiveTimeScale(0.5)
-            } else if (this.jumping) {
-                // During jump, slow the run cycle slightly for "airborne" feel
-                if (this.currentAction) this.currentAction.setEffectiveTimeScale(animSpeed * 0.6)
-            } else {
-                // Normal running — choose between walk and run based on speed
-                if (this.speed < this.INIT_SPEED * 0.7 && this.animActions.walk) {
-                    if (this.currentAction !== this.animActions.walk) {
-                        this._fadeToAction('walk', 0.3)
-                    }
-                } else if (this.animActions.run) {
-                    if (this.currentAction !== this.animActions.run) {
-                        this._fadeToAction('run', 0.3)
-                    }
-                }
-            }
-
-            // Update the AnimationMixer
-            this.mixer.update(dt)
+            this.accumulator -= FIXED_DT
         }
-
-        // Sliding: scale player for visual feedback (model ducks down)
-        if (this.sliding) {
-            // Tilt the model forward to simulate a slide
-            if (this.soldierModel) {
-                this.soldierModel.rotation.x += (0.6 - this.soldierModel.rotation.x) * 12 * dt
-            }
-        } else {
-            if (this.soldierModel) {
-                this.soldierModel.rotation.x += (0 - this.soldierModel.rotation.x) * 10 * dt
-            }
+        if (sim.gameOver) return
+        const mv = sim.dist - this.lastDist; this.lastDist = sim.dist
+        this._updateGhost(dt)
+        this._updateTrail(dt, mv)
+
+        // Swing the world round after a turn, easing out
+        if (this.turnAnim) {
+            const ta = this.turnAnim
+            ta.t = Math.min(1, ta.t + dt / 0.3)
+            const k = 1 - (1 - ta.t) * (1 - ta.t)
+            this.world.rotation.y = ta.from * (1 - k)
+            this.world.position.z = -ta.skip * (1 - k)
+            if (ta.t >= 1) this.turnAnim = null
         }
 
+        // Player follows the simulated position
+        this.player.position.x = sim.playerX
+        this.player.position.y = sim.playerY
+        // Flicker through the grace period after a revive
+        this.player.visible = sim.graceT <= 0 || Math.floor(sim.graceT * 10) % 2 === 0
+        const auraType = Object.keys(sim.effects).find(t => POWER_UPS[t].aura)
+        if (auraType) this.auraMesh.material.color.setHex(POWER_UPS[auraType].color)
+        this.auraMesh.material.opacity = auraType ? 0.3 + Math.sin(Date.now() * 0.008) * 0.1 : 0
+
+        // === RUNNING ANIMATION (state machine over the AnimationMixer) ===
+        this.animTime += dt * sim.speed * 0.55
+        this._animate(dt)
+
         // Body lean into lane changes
-        const laneOffset = this.tgtLane * this.LANE_W - this.player.position.x
+        const laneOffset = sim.tgtLane * this.LANE_W - this.player.position.x
         this.player.rotation.z += (laneOffset * -0.12 - this.player.rotation.z) * 8 * dt
 
         // Camera smooth follow
-        const camTargetY = 6.5 + this.playerY * 0.3
+        const camTargetY = 6.5 + sim.playerY * 0.3
         this.camera.position.y += (camTargetY - this.camera.position.y) * 4 * dt
 
         // Move world
         if (this.startLine) { this.startLine.position.z += mv }
-        for (const t of this.tiles) { t.position.z += mv; if (t.position.z > this.PATH_LEN) t.position.z -= this.TILE_N * this.PATH_LEN }
-        for (let i = 0; i < this.lWalls.length; i++) { this.lWalls[i].position.z += mv; this.rWalls[i].position.z += mv; if (this.lWalls[i].position.z > this.PATH_LEN) { this.lWalls[i].position.z -= this.TILE_N * this.PATH_LEN; this.rWalls[i].position.z -= this.TILE_N * this.PATH_LEN } }
-        for (const wt of this.waterTiles) { wt.position.z += mv; if (wt.position.z > this.PATH_LEN * 2) wt.position.z -= this.TILE_N * this.PATH_LEN }
+        // Anything wrapping round to the far end picks up the current biome
+        for (const t of this.tiles) { t.position.z += mv; if (t.position.z > this.PATH_LEN) { t.position.z -= this.TILE_N * this.PATH_LEN; this._onTileWrap(t) } }
+        for (let i = 0; i < this.lWalls.length; i++) { this.lWalls[i].position.z += mv; this.rWalls[i].position.z += mv; if (this.lWalls[i].position.z > this.PATH_LEN) { this.lWalls[i].position.z -= this.TILE_N * this.PATH_LEN; this.rWalls[i].position.z -= this.TILE_N * this.PATH_LEN; this._skin(this.lWalls[i], this.biomeMats); this._skin(this.rWalls[i], this.biomeMats) } }
+        for (const wt of this.waterTiles) { wt.position.z += mv; if (wt.position.z > this.PATH_LEN * 2) { wt.position.z -= this.TILE_N * this.PATH_LEN; this._skin(wt, this.biomeMats) } }
         for (const l of this.torches) { l.position.z += mv; l.intensity = 0.5 + Math.random() * 0.4; if (l.position.z > 12) l.position.z -= 140 }
-        for (const a of this.archways) { a.position.z += mv; if (a.position.z > 15) a.position.z -= 300 }
-        for (const b of this.buildings) { b.position.z += mv; if (b.position.z > 20) { b.position.z -= 300; b.position.x = (b.position.x > 0 ? 1 : -1) * (9 + Math.random() * 6) } }
-        for (const v of this.vines) { v.position.z += mv; v.children.forEach((c, i2) => { c.rotation.z = Math.sin(Date.now() * 0.002 + i2) * 0.05 }); if (v.position.z > 15) v.position.z -= 280 }
-        for (const t of this.trees) { t.position.z += mv; if (t.position.z > 20) { t.position.z -= 256; t.position.x = (t.position.x > 0 ? 1 : -1) * (30 + Math.random() * 10) } }
+        for (const a of this.archways) { a.position.z += mv; if (a.position.z > 15) { a.position.z -= 300; this._skin(a, this.biomeMats) } }
+        for (const b of this.buildings) { b.position.z += mv; if (b.position.z > 20) { b.position.z -= 300; b.position.x = (b.position.x > 0 ? 1 : -1) * (9 + this.sceneryRand() * 6); this._skin(b, this.biomeMats) } }
+        for (const v of this.vines) { v.position.z += mv; v.userData.parts.forEach((p, i2) => { p.local.makeRotationZ(Math.sin(Date.now() * 0.002 + i2) * 0.05).setPosition(p.origin) }); if (v.position.z > 15) { v.position.z -= 280; this._skin(v, this.biomeMats) } }
+        for (const t of this.trees) { t.position.z += mv; if (t.position.z > 20) { t.position.z -= 256; t.position.x = (t.position.x > 0 ? 1 : -1) * (30 + this.sceneryRand() * 10); this._skin(t, this.biomeMats) } }
+
+        // Sky and light blend while the runner crosses the changed tiles
+        const biome = this.biome
+        if (biome.boundary != null && biome.skyT < 1) {
+            biome.skyT = Math.min(1, Math.max(0, (sim.dist - biome.boundary) / (BLEND_TILES * this.PATH_LEN)))
+            this._applyBiomeSky(mixPalette(BIOMES[biome.from], BIOMES[biome.to], biome.skyT))
+        }
 
-        // Particles
+        // Particles — spores drift up, sand blows across, snow falls, embers rise
         if (this.particles) {
-            const p = this.particles.geometry.attributes.position.array
-            for (let i = 0; i < p.length; i += 3) { p[i + 2] += mv; p[i + 1] += dt * 0.2; if (p[i + 2] > 12) { p[i + 2] -= 120; p[i + 1] = 0.5 + Math.random() * 10; p[i] = (Math.random() - 0.5) * 16 } }
+            const p = this.particles.geometry.attributes.position.array, { rise, drift } = this.particleMotion
+            for (let i = 0; i < p.length; i += 3) {
+                p[i + 2] += mv; p[i + 1] += dt * rise; p[i] += dt * drift
+                if (p[i] > 8) p[i] -= 16
+                if (p[i + 1] > 10.5) p[i + 1] = 0.5; else if (p[i + 1] < 0.3) p[i + 1] = 10
+                if (p[i + 2] > 12) { p[i + 2] -= 120; p[i + 1] = 0.5 + Math.random() * 10; p[i] = (Math.random() - 0.5) * 16 }
+            }
             this.particles.geometry.attributes.position.needsUpdate = true
         }
 
-        // Obstacles
-        for (const o of this.obs) {
-            o.position.z += mv
-            if (o.userData.active) {
-                const dx = Math.abs(o.position.x - this.player.position.x), dz = Math.abs(o.position.z - this.player.position.z)
-                if (dx < 0.9 && dz < 0.8) {
-                    if (this.shieldOn) { this.shieldOn = false; this.shieldMesh.material.opacity = 0; o.userData.active = false; o.visible = false }
-                    else if (o.userData.type === 'block') { this.doGameOver(); return }
-                    else if (o.userData.type === 'barrier' && this.playerY < o.userData.hh * 0.7 && !this.sliding) { this.doGameOver(); return }
-                    else if (o.userData.type === 'overhead' && !this.sliding && this.playerY < 1.5) { this.doGameOver(); return }
-                }
-            }
-            if (o.position.z > 8) this.recycleObs(o)
-        }
+        this._updateCorners()
 
-        // Coins
-        for (const c of this.coinArr) {
-            c.position.z += mv; c.rotation.y += 3 * dt; c.position.y = 1.3 + Math.sin(Date.now() * 0.003 + c.position.z) * 0.15
-            if (this.magnetOn && c.userData.active) { const dx = c.position.x - this.player.position.x, dz = c.position.z - this.player.position.z; if (Math.sqrt(dx * dx + dz * dz) < 6) { c.position.x -= dx * 5 * dt; c.position.z -= dz * 5 * dt } }
-            if (c.userData.active) { const dx = Math.abs(c.position.x - this.player.position.x), dz = Math.abs(c.position.z - this.player.position.z); if (dx < 1 && dz < 1) { c.userData.active = false; c.visible = false; this.combo = Math.min(this.combo + 0.5, 5); this.comboT = 2; this.coins++; this.score += Math.floor(15 * this.combo) } }
-            if (c.position.z > 8) { c.position.z = -(50 + Math.random() * 50); c.position.x = (Math.floor(Math.random() * 3) - 1) * this.LANE_W; c.userData.active = true; c.visible = true }
-        }
+        // The guardian's fog lifts over its last second
+        const thick = Math.min(1, sim.guardian.fogT)
+        if (thick !== this.fogThick) { this.fogThick = thick; this._applyFog() }
 
-        // Power-ups
-        for (const pu of this.pups) {
-            pu.position.z += mv; pu.rotation.y += 2 * dt; pu.rotation.x += 1.5 * dt; pu.position.y = 1.5 + Math.sin(Date.now() * 0.004) * 0.3
-            if (pu.userData.active) { const dx = Math.abs(pu.position.x - this.player.position.x), dz = Math.abs(pu.position.z - this.player.position.z); if (dx < 1.2 && dz < 1.2) { pu.userData.active = false; pu.visible = false; if (pu.userData.type === 'shield') { this.shieldOn = true; this.shieldT = 8; this.shieldMesh.material.opacity = 0.3 } else { this.magnetOn = true; this.magnetT = 6 }; if (this.callbacks.onPowerUp) this.callbacks.onPowerUp(pu.userData.type) } }
-            if (pu.position.z > 8) { pu.position.z = -(100 + Math.random() * 60); pu.position.x = (Math.floor(Math.random() * 3) - 1) * this.LANE_W; pu.userData.active = true; pu.visible = true }
+        // Obstacles, coins and power-ups mirror the simulation — anything past the next end wall is out of sight
+        const wallZ = sim.dist - sim.nextCorner.dist - 5
+        for (let i = 0; i < this.obs.length; i++) {
+            const o = sim.obstacles[i], m = this.obs[i]
+            if (o.z < m.position.z - 50) this._skin(m, this.biomeMats) // recycled to the far end
+            m.position.set(o.x, o.y, o.z); m.visible = o.active && o.z > wallZ
         }
+        for (let i = 0; i < this.coinArr.length; i++) {
+            const c = sim.coinList[i], m = this.coinArr[i]
+            m.position.set(c.x, 1.3 + Math.sin(Date.now() * 0.003 + c.z) * 0.15, c.z)
+            m.rotation.y += 3 * dt; m.visible = c.active && !c.hidden && c.z > wallZ
+        }
+        for (let i = 0; i < this.pups.length; i++) {
+            const pu = sim.powerUps[i], m = this.pups[i]
+            if (m.userData.type !== pu.type) this._dressPowerUp(m, pu.type)
+            m.position.set(pu.x, 1.5 + Math.sin(Date.now() * 0.004) * 0.3, pu.z)
+            m.rotation.y += 2 * dt; m.rotation.x += 1.5 * dt; m.visible = pu.active && pu.z > wallZ
+        }
+        this._syncProps()
 
         // Footstep sounds
         this.footstepTimer += dt
-        if (this.footstepTimer > 0.3 && !this.jumping && !this.sliding) {
+        if (this.footstepTimer > 0.3 && !sim.jumping && !sim.sliding) {
             this.footstepTimer = 0
-            playFootstep()
+            this.sounds.playFootstep()
         }
 
         // Breathing sound
@@ -1181,55 +1722,105 @@ export default class RelicRushGame {
         // Play deep breath on a regular cadence (every 1.8 seconds)
         if (this.breathTimer > 1.8) {
             this.breathTimer = 0
-            playBreathing()
+            this.sounds.playBreathing()
         }
 
-        // Score callback
-        if (this.callbacks.onScoreUpdate && Math.floor(this.dist) % 2 === 0) this.callbacks.onScoreUpdate(this.score, this.coins)
-    }
-
-    recycleObs(o) {
-        const newZ = -(150 + Math.random() * 80)
-        const lane = this._pickSafeLane(newZ)
-        const yPos = o.userData.type === 'overhead' ? 2.2 : o.userData.hh / 2
-        o.position.set(lane * this.LANE_W, yPos, newZ); o.userData.active = true; o.userData.lane = lane; o.visible = true
+        // Score callback — the combo goes along with how much of its window is left (0–1), and where the
+        // runner is (x in lanes, y the jump height) for spectators
+        if (this.callbacks.onScoreUpdate && Math.floor(sim.dist) % 2 === 0) {
+            this.callbacks.onScoreUpdate(sim.score, sim.coins, {
+                distance: Math.floor(sim.dist), combo: sim.combo, comboLeft: Math.max(0, sim.comboT) / sim.COMBO_WINDOW, guardianEnergy: sim.guardian.energy,
+                x: sim.playerX / sim.LANE_W, y: sim.playerY, sliding: sim.sliding
+            })
+        }
     }
 
     doGameOver() {
-        this.gameOver = true; this.running = false
-        stopBgMusic()
-        playCollision()
+        // Ending mid-intro drops the parachute so the crash sequence can play
+        if (this.introPhase !== 'none') { this.introPhase = 'none'; this.removeParachute() }
+        this.sounds.stopBgMusic()
+        this.sounds.playCollision()
         // Red flash
         const fg = new THREE.PlaneGeometry(100, 100)
         const fm = new THREE.MeshBasicMaterial({ color: 0xff2200, transparent: true, opacity: 0.4, side: THREE.DoubleSide, depthTest: false })
         const f = new THREE.Mesh(fg, fm); f.position.copy(this.camera.position); f.position.z -= 2; this.scene.add(f)
-        const fade = () => { fm.opacity -= 0.015; if (fm.opacity > 0) requestAnimationFrame(fade); else { this.scene.remove(f); fg.dispose(); fm.dispose() } }
+        const fade = () => { fm.opacity -= 0.015; if (fm.opacity > 0) this.res.frame(fade); else { this.scene.remove(f); fg.dispose(); fm.dispose() } }
         fade()
         // Start collision animation — impact → fall → lie 4s → game over
         this.collisionPhase = 'impact'; this.collisionTimer = 0
     }
 
     animate() {
-        this.animId = requestAnimationFrame(() => this.animate())
-        const dt = Math.min(this.clock.getDelta(), 0.05)
+        this.res.frame(() => this.animate())
+        // Cap long stalls (tab switches) — the simulation catches up in fixed steps, never a bigger one
+        const dt = Math.min(this.clock.getDelta(), 0.25)
+        // Nothing to draw on, and nothing may move until it's back
+        if (this.contextLost) return
+        // Paused: keep drawing the frozen frame, but nothing moves
+        if (this.paused) { this._draw(); return }
+        // Auto quality only judges frames from the run itself
+        if (this.governor && this.sim.running && this.introPhase === 'none' && this.collisionPhase === 'none') {
+            const level = this.governor.sample(dt)
+            if (level) this._applyQuality(level)
+        }
         this.update(dt)
         // Only render in update during intro/collision phases, otherwise render here
         if (this.introPhase === 'none' && this.collisionPhase === 'none') {
-            this.renderer.render(this.scene, this.camera)
+            this._draw()
         }
     }
 
+    _draw() {
+        if (this.view) this.view.draw(this.scene, this.camera)
+        else this.renderer.render(this.scene, this.camera)
+    }
+
     onResize() {
-        const w = this.container.clientWidth, h = this.container.clientHeight
-        this.camera.aspect = w / h; this.camera.updateProjectionMatrix(); this.renderer.setSize(w, h)
+        const { w, h } = this._viewSize()
+        this.resize(w, h)
+    }
+
+    resize(w, h) {
+        this.size = { w, h }
+        this.camera.aspect = w / h; this.camera.updateProjectionMatrix()
+        if (!this.view) this.renderer.setSize(w, h, !this.canvas)
+    }
+
+    // The container's size, or in a worker the size the host page last sent
+    _viewSize() {
+        return this.container ? { w: this.container.clientWidth, h: this.container.clientHeight } : this.size
+    }
+
+    // Renderer memory and what the registry still holds, for the dev counter on the desktop
+    memoryStats() {
+        const { geometries, textures } = this.renderer.info.memory
+        return { geometries, textures, held: this.res.size, games: liveGames }
     }
 
     destroy() {
-        cancelAnimationFrame(this.animId)
-        window.removeEventListener('resize', this._resize)
+        if (this.res.released) return
+        // Frames, timers, listeners, mixers and textures; loads still in flight are dropped
+        this.res.release()
+        liveGames--
+        this._clearCountdown()
+        this.props.dispose(); if (this.treeProps) this.treeProps.dispose()
         this.scene.traverse(o => { if (o.geometry) o.geometry.dispose(); if (o.material) { if (Array.isArray(o.material)) o.material.forEach(m => m.dispose()); else o.material.dispose() } })
-        this.renderer.dispose()
-        if (this.container.contains(this.renderer.domElement)) this.container.removeChild(this.renderer.domElement)
+        // Cached biome sets include ones no longer on screen
+        for (const set of Object.values(this.biomeSets)) {
+            for (const m of Object.values(set)) { if (Array.isArray(m)) m.forEach(v => v.dispose()); else m.dispose() }
+        }
+        this.biomeSets = {}; this.matRoles.clear()
+        for (const look of Object.values(this.pupLooks)) { look.geo.dispose(); look.mat.dispose(); look.glow.dispose() }
+        this.pupLooks = {}
+        this.scene.clear()
+        // A shared renderer is its owner's to dispose
+        if (!this.view) {
+            this.renderer.dispose()
+            // Browsers cap live WebGL contexts; without this every restart would hold on to one
+            this.renderer.forceContextLoss()
+            if (this.container && this.container.contains(this.renderer.domElement)) this.container.removeChild(this.renderer.domElement)
+        }
+        this.cornerPieces = []
         this.tiles = []; this.obs = []; this.coinArr = []; this.lWalls = []; this.rWalls = []; this.pups = []; this.trees = []; this.archways = []; this.buildings = []; this.vines = []; this.waterTiles = []
     }
 }
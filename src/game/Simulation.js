@@ -0,0 +1,482 @@
+import { createRngStream, randomSeed } from './random.js'
+import { runnerHull, sweptHit } from './collision.js'
+import { POWER_UPS, POWER_UP_TYPES } from './powerups.js'
+import { GUARDIAN_ACTIONS, GUARDIAN_ENERGY } from './guardian.js'
+
+/**
+ * Relic Rush — Run simulation
+ * The game rules on a fixed timestep: lanes, jump/slide physics, obstacles, coins, power-ups and scoring.
+ * Score is distance points plus coin points, kept apart so the breakdown can be shown; each coin is worth
+ * more while the combo is up, and the combo drops back to x1 if no coin is picked up for a couple of seconds.
+ * No Three.js and no DOM — the renderer only reads this state, and the same code runs headless in Node.
+ *
+ * World convention matches the renderer: the runner stays at z = 0 and everything scrolls toward +Z.
+ * Turns are modelled in track space: the course is one long line measured by `dist`, with corners
+ * marked along it. Swiping toward an open side near a corner turns the runner; running past it hits the wall.
+ *
+ * Every input that reaches a running game is logged against its step, so a seed plus its input log replays
+ * the run exactly — revives and the Temple Guardian's tricks included. Bump SIM_VERSION whenever a rule change would make old logs play out differently.
+ */
+
+export const FIXED_DT = 1 / 60
+export const SIM_VERSION = 6
+
+export const INPUT_ACTIONS = ['moveLeft', 'moveRight', 'jump', 'slide']
+
+// Obstacle kinds and their heights (hh) — the mesh for each is built by the renderer,
+// the hitboxes live in collision.js
+export const OBSTACLE_TYPES = {
+    block: { hh: 2.8 },     // boulder cluster — dodge
+    overhead: { hh: 3.5 },  // ruined arch / vine overhang — slide
+    barrier: { hh: 0.8 },   // fallen trunk — jump
+}
+
+export { POWER_UP_TYPES }
+
+// Corner kinds and which swipes they accept
+export const CORNER_TYPES = {
+    left: ['left'],
+    right: ['right'],
+    junction: ['left', 'right'], // T-junction — either way works
+}
+
+export default class RunSimulation {
+    constructor(options = {}) {
+        this.seed = options.seed ?? randomSeed()
+        // A replay feeds its saved input log back in and ignores live input
+        this.replay = options.replay || null
+
+        // Constants
+        this.LANE_W = 2.8
+        this.JUMP_FORCE = 14
+        this.GRAVITY = 36
+        this.OBS_N = 22
+        this.ROW_GAP = 5          // obstacles closer than this in Z stand in the same row
+        this.COIN_N = 35
+        this.PUP_N = 4
+        this.INIT_SPEED = 12
+        this.MAX_SPEED = 35
+        this.SPEED_INC = 0.25
+        this.TURN_WINDOW = 16     // how far before a corner a swipe turns instead of changing lane
+        this.CORNER_DEPTH = 4.5   // how far past the corner centre the end wall stands
+        this.CORNER_CLEAR = [25, 35] // no obstacles or pickups this far before / after a corner
+        this.COIN_VALUE = 15
+        this.COMBO_STEP = 0.5     // each coin raises the combo by this much...
+        this.COMBO_MAX = 5
+        this.COMBO_WINDOW = 2     // ...as long as the next one comes within this many seconds
+        this.REVIVE_COST = 25     // coins for the first revive; doubles with each one in the same run
+        this.REVIVE_CLEAR = 40    // obstacles this far ahead are cleared on a revive
+        this.REVIVE_GRACE = 2     // seconds after a revive when obstacles are passed through
+
+        this.listeners = {}
+        this.reset()
+    }
+
+    // Rebuild the whole run from the seed — same seed, same course
+    reset() {
+        this.obsRand = createRngStream(this.seed, 'obstacles')
+        this.coinRand = createRngStream(this.seed, 'coins')
+        this.pupRand = createRngStream(this.seed, 'powerups')
+        this.cornerRand = createRngStream(this.seed, 'corners')
+
+        this.tick = 0
+        this.inputLog = []; this.replayIdx = 0
+        this.score = 0; this.coins = 0; this.speed = this.INIT_SPEED
+        this.tgtLane = 0; this.playerX = 0; this.playerY = 0
+        this.jumpVel = 0; this.jumping = false; this.sliding = false
+        this.slideT = 0; this.gameOver = false; this.running = false; this.endReason = null
+        this.revives = 0; this.graceT = 0
+        this.dist = 0; this.level = 1; this.combo = 1; this.comboT = 0
+        // Running power-up effects by type, and the stat multipliers they adjust (jump scales height)
+        this.effects = {}
+        this.mods = { score: 1, coin: 1, jump: 1, speed: 1, invincible: 0 }
+        this.distScore = 0; this.coinScore = 0; this.bestCombo = 1
+        this.heading = 0; this.turns = 0 // heading in quarter turns, clockwise
+        // The Temple Guardian's energy, and how long its fog has left
+        this.guardian = { energy: GUARDIAN_ENERGY.start, fogT: 0 }
+
+        this._scheduleCorner(0)
+        this.obstacles = []; this.coinList = []; this.powerUps = []
+        this._buildObstacles()
+        this._buildCoins()
+        this._buildPowerUps()
+    }
+
+    // === EVENTS ===
+    on(event, fn) {
+        (this.listeners[event] || (this.listeners[event] = [])).push(fn)
+        return () => { this.listeners[event] = this.listeners[event].filter(f => f !== fn) }
+    }
+
+    // '*' listeners hear every event as (event, payload) — how a sim in a worker is mirrored on the page
+    emit(event, payload) {
+        const fns = this.listeners[event]
+        if (fns) for (const fn of fns) fn(payload)
+        const all = this.listeners['*']
+        if (all) for (const fn of all) fn(event, payload)
+    }
+
+    // === LAYOUT ===
+    // Corners come every 280–480m of track
+    _scheduleCorner(fromDist) {
+        const roll = this.cornerRand()
+        const type = roll < 0.4 ? 'left' : roll < 0.8 ? 'right' : 'junction'
+        this.nextCorner = { dist: fromDist + 280 + this.cornerRand() * 200, type }
+    }
+
+    // Push a spawn point out of the stretch around the next corner (z is world-space, ahead is negative)
+    _clearOfCorner(z) {
+        const d = this.dist - z, c = this.nextCorner.dist
+        if (d > c - this.CORNER_CLEAR[0] && d < c + this.CORNER_CLEAR[1]) return this.dist - (c + this.CORNER_CLEAR[1])
+        return z
+    }
+
+    // Is the runner close enough to the next corner for a swipe toward `dir` to take it?
+    canTurn(dir) {
+        const ahead = this.nextCorner.dist - this.dist
+        return ahead >= 0 && ahead <= this.TURN_WINDOW && CORNER_TYPES[this.nextCorner.type].includes(dir)
+    }
+
+    _buildObstacles() {
+        for (let i = 0; i < this.OBS_N; i++) {
+            const roll = this.obsRand()
+            const type = roll > 0.6 ? 'block' : roll > 0.3 ? 'overhead' : 'barrier'
+            const hh = OBSTACLE_TYPES[type].hh
+            // === SMART LANE PLACEMENT — never block all 3 lanes ===
+            const z = this._clearOfCorner(-(40 + i * 28 + this.obsRand() * 10))
+            const lane = this._pickSafeLane(z)
+            this.obstacles.push({
+                type, hh, lane, z,
+                x: lane * this.LANE_W,
+                y: type === 'overhead' ? 2.5 : hh / 2,
+                active: true
+            })
+        }
+    }
+
+    // Lanes taken by obstacles in the same row as z — every placement spaces rows by ROW_GAP.
+    // `skip` is an obstacle about to be moved
+    _lanesNear(z, skip = null) {
+        const lanes = new Set()
+        for (const o of this.obstacles) {
+            if (o !== skip && Math.abs(o.z - z) < this.ROW_GAP) lanes.add(o.lane)
+        }
+        return lanes
+    }
+
+    // Would an obstacle in this lane at z still leave a lane free?
+    isSafeLane(lane, z, skip = null) {
+        const lanes = this._lanesNear(z, skip)
+        lanes.add(lane)
+        return lanes.size < 3
+    }
+
+    // Pick a lane that won't create a 3-lane wall with nearby obstacles
+    _pickSafeLane(z) {
+        const nearbyLanes = this._lanesNear(z)
+        // If 2 lanes already taken nearby, share one of them so the third stays free
+        if (nearbyLanes.size >= 2) {
+            const taken = [...nearbyLanes]
+            return taken[Math.floor(this.obsRand() * taken.length)]
+        }
+        // Otherwise pick any lane
+        return Math.floor(this.obsRand() * 3) - 1
+    }
+
+    _recycleObstacle(o) {
+        const z = this._clearOfCorner(-(150 + this.obsRand() * 80))
+        const lane = this._pickSafeLane(z)
+        o.z = z; o.lane = lane; o.x = lane * this.LANE_W
+        o.y = o.type === 'overhead' ? 2.5 : o.hh / 2
+        o.active = true
+    }
+
+    _buildCoins() {
+        for (let i = 0; i < this.COIN_N; i++) {
+            const lane = Math.floor(this.coinRand() * 3) - 1
+            this.coinList.push({ x: lane * this.LANE_W, z: this._clearOfCorner(-(15 + i * 7 + this.coinRand() * 4)), active: true, hidden: false })
+        }
+    }
+
+    _recycleCoin(c) {
+        c.z = this._clearOfCorner(-(50 + this.coinRand() * 50))
+        c.x = (Math.floor(this.coinRand() * 3) - 1) * this.LANE_W
+        c.active = true; c.hidden = false
+    }
+
+    _buildPowerUps() {
+        for (let i = 0; i < this.PUP_N; i++) {
+            const lane = Math.floor(this.pupRand() * 3) - 1
+            this.powerUps.push({
+                type: this._pickPowerUpType(),
+                x: lane * this.LANE_W, z: this._clearOfCorner(-(60 + i * 55 + this.pupRand() * 30)), active: true
+            })
+        }
+    }
+
+    _pickPowerUpType() {
+        return POWER_UP_TYPES[Math.floor(this.pupRand() * POWER_UP_TYPES.length)]
+    }
+
+    _recyclePowerUp(pu) {
+        pu.type = this._pickPowerUpType()
+        pu.z = this._clearOfCorner(-(100 + this.pupRand() * 60))
+        pu.x = (Math.floor(this.pupRand() * 3) - 1) * this.LANE_W
+        pu.active = true
+    }
+
+    // === CONTROLS ===
+    begin() { if (!this.gameOver) this.running = true }
+    canAct() { return this.running && !this.gameOver }
+    moveLeft() { return this.input('moveLeft') }
+    moveRight() { return this.input('moveRight') }
+    jump() { return this.input('jump') }
+    slide() { return this.input('slide') }
+
+    // Live input — ignored while a replay is driving the run
+    input(action) {
+        if (this.replay) return false
+        return this._apply(action)
+    }
+
+    _apply(action) {
+        if (!this.canAct()) return false
+        this.inputLog.push({ t: this.tick, a: action })
+        switch (action) {
+            case 'moveLeft': return this.steer('left')
+            case 'moveRight': return this.steer('right')
+            case 'jump':
+                if (this.jumping) return false
+                this.jumping = true; this.jumpVel = this.JUMP_FORCE * Math.sqrt(this.mods.jump)
+                this.emit('jump'); return true
+            case 'slide':
+                this.sliding = true; this.slideT = 0.6
+                this.emit('slide'); return true
+        }
+        return false
+    }
+
+    // Take the corner if one is in reach, otherwise move one lane over. Swipes and the sprint's autopilot
+    // both steer through here; only swipes are logged
+    steer(dir) {
+        if (this.canTurn(dir)) { this._turn(dir); return true }
+        const lane = this.tgtLane + (dir === 'left' ? -1 : 1)
+        if (lane < -1 || lane > 1) return false
+        this.tgtLane = lane; this.emit('laneChange', { lane }); return true
+    }
+
+    // === TEMPLE GUARDIAN ===
+    // A guardian phone's trick — refused (false) when the run isn't going, the energy isn't there or the
+    // trick's own rules say no. Logged like any input, so replays play it back
+    guardianAct(action, lane = 0) {
+        if (this.replay) return false
+        return this._guard(action, lane)
+    }
+
+    _guard(action, lane) {
+        const def = GUARDIAN_ACTIONS[action]
+        if (!def || !this.canAct() || this.guardian.energy < def.cost) return false
+        if (!def.apply(this, lane)) return false
+        this.guardian.energy -= def.cost
+        this.inputLog.push({ t: this.tick, a: 'guard', g: action, lane })
+        this.emit('guardian', { action, lane })
+        return true
+    }
+
+    // Take the corner: snap to its centre, face the new way, and mark the next one further on.
+    // The stretch skipped by the snap is inside the corner's clear zone, so nothing is jumped over.
+    _turn(dir) {
+        const corner = this.nextCorner
+        const skip = corner.dist - this.dist
+        for (const list of [this.obstacles, this.coinList, this.powerUps]) for (const o of list) o.z += skip
+        this.dist = corner.dist
+        this.heading = (this.heading + (dir === 'left' ? 3 : 1)) % 4
+        this.turns++
+        this._scheduleCorner(corner.dist)
+        this.emit('turn', { dir, corner, skip })
+    }
+
+    // === POWER-UP EFFECTS ===
+    isActive(type) { return !!this.effects[type] }
+
+    startEffect(type) {
+        const def = POWER_UPS[type]
+        // Picking up one that's already running just refills it
+        if (this.effects[type]) this.effects[type].t = def.duration
+        else {
+            const fx = this.effects[type] = { type, t: def.duration }
+            if (def.activate) def.activate(this, fx)
+        }
+        this.emit('powerUp', { type })
+    }
+
+    endEffect(type) {
+        const fx = this.effects[type]
+        if (!fx) return
+        delete this.effects[type]
+        if (POWER_UPS[type].expire) POWER_UPS[type].expire(this, fx)
+        this.emit('powerUpEnd', { type })
+    }
+
+    // Give each running effect a chance to shrug off the hit
+    _absorbHit(obstacle) {
+        for (const type of Object.keys(this.effects)) {
+            const def = POWER_UPS[type]
+            if (def.absorbHit && def.absorbHit(this, this.effects[type], obstacle)) return true
+        }
+        return false
+    }
+
+    // === SCORING ===
+    _tallyScore() { this.score = Math.floor(this.distScore) + this.coinScore }
+
+    // Where the score came from, for the game-over card
+    scoreBreakdown() {
+        return {
+            distance: Math.floor(this.dist), distancePoints: Math.floor(this.distScore),
+            coins: this.coins, coinPoints: this.coinScore, bestCombo: this.bestCombo, total: this.score
+        }
+    }
+
+    // Saved form of this run — enough to replay it exactly
+    toRecord() {
+        return {
+            version: SIM_VERSION, seed: this.seed, ticks: this.tick,
+            score: this.score, coins: this.coins, dist: Math.floor(this.dist),
+            inputs: this.inputLog.slice()
+        }
+    }
+
+    // Ends the run from outside the rules (phone DISCONNECT, desktop END)
+    end(reason = 'quit') {
+        if (this.gameOver) return
+        this._over({ reason })
+    }
+
+    _over(info) {
+        this.gameOver = true; this.running = false; this.endReason = info.reason
+        this.emit('gameOver', info)
+    }
+
+    // === REVIVE ===
+    reviveCost() { return this.REVIVE_COST * 2 ** this.revives }
+
+    canRevive() {
+        return this.gameOver && this.endReason !== 'quit' && this.coins >= this.reviveCost()
+    }
+
+    // Is the next entry in the replayed log a revive? A replay takes it straight away
+    replayRevives() {
+        return !!this.replay && this.replayIdx < this.replay.length && this.replay[this.replayIdx].a === 'revive'
+    }
+
+    // Spend coins to carry on: clear what's ahead, stand back up, and pass through obstacles for a moment.
+    // Running into a wall revives round the corner.
+    revive() {
+        if (!this.canRevive()) return false
+        if (this.replay) {
+            if (!this.replayRevives()) return false
+            this.replayIdx++
+        } else this.inputLog.push({ t: this.tick, a: 'revive' })
+        const cost = this.reviveCost()
+        this.coins -= cost; this.revives++
+        this.gameOver = false; this.running = true
+        if (this.endReason === 'wall') this._turn(CORNER_TYPES[this.nextCorner.type][0])
+        this.endReason = null
+        for (const o of this.obstacles) if (o.z > -this.REVIVE_CLEAR && o.z < 8) o.active = false
+        this.playerY = 0; this.jumping = false; this.jumpVel = 0; this.sliding = false
+        this.combo = 1; this.comboT = 0
+        this.graceT = this.REVIVE_GRACE
+        this.emit('revive', { cost, revives: this.revives })
+        return true
+    }
+
+    // === STEP ===
+    step(dt = FIXED_DT) {
+        if (!this.running || this.gameOver) return
+        if (this.replay) {
+            const log = this.replay
+            while (this.replayIdx < log.length && log[this.replayIdx].t <= this.tick) {
+                const entry = log[this.replayIdx++]
+                if (entry.a === 'guard') this._guard(entry.g, entry.lane); else this._apply(entry.a)
+            }
+        }
+        this.tick++
+
+        this.speed = Math.min(this.speed + this.SPEED_INC * dt, this.MAX_SPEED)
+        const nl = Math.floor(this.dist / 500) + 1
+        if (nl > this.level) { this.level = nl; this.speed = Math.min(this.speed + 2, this.MAX_SPEED); this.emit('levelUp', { level: nl }) }
+        const mv = this.speed * this.mods.speed * dt; this.dist += mv
+        this.distScore += mv * this.mods.score; this._tallyScore()
+        if (this.comboT > 0) { this.comboT -= dt; if (this.comboT <= 0) this.combo = 1 }
+        if (this.graceT > 0) this.graceT -= dt
+        // The guardian's energy builds back up and its fog thins out
+        const g = this.guardian
+        g.energy = Math.min(GUARDIAN_ENERGY.max, g.energy + GUARDIAN_ENERGY.regen * dt)
+        if (g.fogT > 0) g.fogT = Math.max(0, g.fogT - dt)
+        // Power-up effects count down, then get their per-step hook
+        for (const type of Object.keys(this.effects)) {
+            const fx = this.effects[type]
+            fx.t -= dt
+            if (fx.t <= 0) this.endEffect(type)
+            else if (POWER_UPS[type].tick) POWER_UPS[type].tick(this, fx, dt)
+        }
+        // Missed the turn — ran into the wall at the end of the corridor
+        if (this.dist > this.nextCorner.dist + this.CORNER_DEPTH) {
+            this._over({ reason: 'wall', corner: this.nextCorner })
+            return
+        }
+
+        // Lane switching eases toward the target lane
+        const from = { x: this.playerX, y: this.playerY }
+        this.playerX += (this.tgtLane * this.LANE_W - this.playerX) * Math.min(1, 12 * dt)
+        if (this.jumping) {
+            this.playerY += this.jumpVel * dt; this.jumpVel -= this.GRAVITY * dt
+            if (this.playerY <= 0) { this.playerY = 0; this.jumping = false; this.jumpVel = 0; this.emit('land') }
+        }
+        if (this.sliding) { this.slideT -= dt; if (this.slideT <= 0) this.sliding = false }
+
+        // Obstacles — swept against the runner's hull for this stance
+        const to = { x: this.playerX, y: this.playerY }, hull = runnerHull(this)
+        for (const o of this.obstacles) {
+            const z0 = o.z
+            o.z += mv
+            if (o.active && this.graceT <= 0 && sweptHit(hull, from, to, o, z0, o.z)) {
+                if (this.mods.invincible) { o.active = false; this.emit('smash', { obstacle: o }) }
+                else if (!this._absorbHit(o)) { this._over({ reason: 'crash', obstacle: o }); return }
+            }
+            if (o.z > 8) this._recycleObstacle(o)
+        }
+
+        // Coins
+        for (const c of this.coinList) {
+            c.z += mv
+            if (c.active) {
+                const dx = Math.abs(c.x - this.playerX), dz = Math.abs(c.z)
+                if (dx < 1 && dz < 1) {
+                    c.active = false
+                    // Paid at the combo showing when it's picked up, then the combo climbs
+                    const points = Math.floor(this.COIN_VALUE * this.combo * this.mods.coin * this.mods.score)
+                    this.coins += this.mods.coin; this.coinScore += points; this._tallyScore()
+                    this.bestCombo = Math.max(this.bestCombo, this.combo)
+                    this.combo = Math.min(this.combo + this.COMBO_STEP, this.COMBO_MAX); this.comboT = this.COMBO_WINDOW
+                    this.emit('coin', { coin: c, coins: this.coins, points, combo: this.combo })
+                }
+            }
+            if (c.z > 8) this._recycleCoin(c)
+        }
+
+        // Power-ups
+        for (const pu of this.powerUps) {
+            pu.z += mv
+            if (pu.active) {
+                const dx = Math.abs(pu.x - this.playerX), dz = Math.abs(pu.z)
+                if (dx < 1.2 && dz < 1.2) {
+                    pu.active = false
+                    this.startEffect(pu.type)
+                }
+            }
+            if (pu.z > 8) this._recyclePowerUp(pu)
+        }
+    }
+}
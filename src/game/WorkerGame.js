@@ -0,0 +1,147 @@
+import * as sounds from '../sounds'
+import RelicRushGame from './RelicRushGame'
+import { randomSeed } from './random'
+
+/**
+ * Relic Rush — Worker rendering
+ * Optional mode where the game runs in a Web Worker and draws into an OffscreenCanvas, keeping Three.js
+ * off the thread that runs React, Framer Motion and the socket. WorkerGame stands in for RelicRushGame on
+ * the page with the same methods: calls, inputs and resizes go to the worker as messages, and callbacks,
+ * sounds and simulation events come back. `createGame` picks it when asked for and supported, and the
+ * plain main-thread game otherwise.
+ */
+
+// GLTFLoader reads textures through the DOM on Safari, and a worker has no DOM
+const isSafari = typeof navigator !== 'undefined' && /^((?!chrome|android).)*safari/i.test(navigator.userAgent)
+
+export function supportsWorkerRendering() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' && 'transferControlToOffscreen' in HTMLCanvasElement.prototype &&
+        typeof createImageBitmap === 'function' && !isSafari
+}
+
+// Worker rendering is asked for with ?render=worker on the desktop page
+export function workerRenderingRequested() {
+    return new URLSearchParams(window.location.search).get('render') === 'worker'
+}
+
+export function createGame(container, callbacks, options = {}) {
+    if (options.worker && supportsWorkerRendering()) return new WorkerGame(container, callbacks, options)
+    return new RelicRushGame(container, callbacks, options)
+}
+
+// One worker for the page — it keeps its asset cache from one game to the next
+let worker = null
+let nextId = 0
+
+function getWorker() {
+    if (!worker) worker = new Worker(new URL('./gameWorker.js', import.meta.url), { type: 'module' })
+    return worker
+}
+
+// What the page can read of the worker's simulation: its events, the few fields missions read and the
+// Temple Guardian's energy
+class SimMirror {
+    constructor(seed) {
+        this.seed = seed
+        this.dist = 0; this.comboT = 0; this.bestCombo = 1
+        this.guardian = { energy: 0, fogT: 0 }
+        this.listeners = {}
+    }
+
+    on(event, fn) {
+        (this.listeners[event] || (this.listeners[event] = [])).push(fn)
+        return () => { this.listeners[event] = this.listeners[event].filter(f => f !== fn) }
+    }
+
+    emit(event, payload) {
+        const fns = this.listeners[event]
+        if (fns) for (const fn of fns) fn(payload)
+    }
+}
+
+const PROXIED = ['start', 'moveLeft', 'moveRight', 'jump', 'slide', 'pause', 'resume', 'togglePause', 'endGame', 'acceptRevive', 'declineRevive', 'guardianAct']
+
+export default class WorkerGame {
+    constructor(container, callbacks = {}, options = {}) {
+        this.container = container
+        this.callbacks = callbacks
+        this.id = ++nextId
+        this.mode = options.mode || 'free'
+        this.replayRun = options.replay || null
+        // The seed is settled here so the page can show it straight away
+        this.seed = this.replayRun ? this.replayRun.seed : options.seed ?? randomSeed()
+        this.sim = new SimMirror(this.seed)
+        this.record = null
+        // Where the worker's sounds are played — the page's own, unless the caller brought its own set
+        this.sounds = options.sounds || sounds
+        this.stats = { geometries: 0, textures: 0, held: 0, games: 0 }
+
+        const canvas = document.createElement('canvas')
+        canvas.style.width = '100%'; canvas.style.height = '100%'; canvas.style.display = 'block'
+        container.appendChild(canvas)
+        this.canvas = canvas
+        const offscreen = canvas.transferControlToOffscreen()
+
+        this.worker = getWorker()
+        this._onMessage = ({ data }) => { if (data.id === this.id) this._receive(data) }
+        this.worker.addEventListener('message', this._onMessage)
+        this.worker.postMessage({
+            type: 'create', id: this.id, canvas: offscreen, size: this._viewSize(), pixelRatio: window.devicePixelRatio,
+            callbacks: Object.keys(callbacks), options: { ...options, seed: this.seed, worker: false, sounds: undefined }
+        }, [offscreen])
+
+        // The page's events the game would listen to itself on the main thread
+        this._resize = () => { const { w, h } = this._viewSize(); this._post({ type: 'resize', w, h }) }
+        this._onVisibility = () => { if (document.hidden) this.pause('hidden') }
+        this._onBlur = () => this.pause('blur')
+        window.addEventListener('resize', this._resize)
+        document.addEventListener('visibilitychange', this._onVisibility)
+        window.addEventListener('blur', this._onBlur)
+
+        for (const method of PROXIED) this[method] = (...args) => this._post({ type: 'call', method, args })
+    }
+
+    _viewSize() {
+        return { w: this.container.clientWidth, h: this.container.clientHeight }
+    }
+
+    _post(message) {
+        if (this.worker) this.worker.postMessage({ id: this.id, ...message })
+    }
+
+    _receive(data) {
+        if (data.sim) Object.assign(this.sim, data.sim)
+        switch (data.type) {
+            case 'callback':
+                if (data.record) this.record = data.record
+                if (this.callbacks[data.name]) this.callbacks[data.name](...data.args)
+                break
+            case 'sim': this.sim.emit(data.event, data.payload); break
+            case 'sound': this.sounds[data.name](...data.args); break
+            case 'stats': this.stats = data.stats; break
+        }
+    }
+
+    isReplay() { return !!this.replayRun }
+
+    // Sent with the game-over callback, so it's ready by the time the page asks
+    getRunRecord() { return this.record }
+
+    // Answers with the last figures the worker sent and asks for fresh ones
+    memoryStats() {
+        this._post({ type: 'stats' })
+        return this.stats
+    }
+
+    destroy() {
+        if (!this.worker) return
+        this._post({ type: 'destroy' })
+        this.worker.removeEventListener('message', this._onMessage)
+        this.worker = null
+        window.removeEventListener('resize', this._resize)
+        document.removeEventListener('visibilitychange', this._onVisibility)
+        window.removeEventListener('blur', this._onBlur)
+        if (this.container.contains(this.canvas)) this.container.removeChild(this.canvas)
+    }
+}
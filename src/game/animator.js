@@ -0,0 +1,188 @@
+import * as THREE from 'three'
+
+/**
+ * Relic Rush — Runner animation state machine
+ * Sits over the character's AnimationMixer. Each frame the game says what the runner is doing (intro,
+ * running, crashed); the machine picks a state, crossfades to its clip and layers procedural poses on top.
+ * A state uses the model's own clip when the manifest maps one; otherwise it plays a base clip and bends
+ * the bones into a pose. Models without a Mixamo-style skeleton (or no model at all — the capsule) get a
+ * rigid pose of the whole model instead.
+ */
+
+// clip: the model's own clip for the state; base: what plays under the procedural pose when it has none.
+// hold: seconds before a timed state may move on. to: states it may move to
+const STATES = {
+    idle: { clip: 'idle', to: ['run', 'walk', 'land', 'stumble'] },
+    run: { clip: 'run', to: ['walk', 'jumpUp', 'slide', 'stumble', 'idle'] },
+    walk: { clip: 'walk', base: 'run', timeScale: 0.6, to: ['run', 'jumpUp', 'slide', 'stumble', 'idle'] },
+    jumpUp: { clip: 'jump', base: 'run', timeScale: 0.6, hold: 0.18, to: ['airborne', 'land', 'slide', 'stumble'] },
+    airborne: { clip: 'jump', base: 'run', timeScale: 0.2, to: ['land', 'slide', 'stumble'] },
+    land: { clip: null, base: 'run', timeScale: 0.4, hold: 0.2, to: ['run', 'walk', 'jumpUp', 'slide', 'stumble', 'idle'] },
+    slide: { clip: 'slide', base: 'run', timeScale: 0.3, to: ['run', 'walk', 'jumpUp', 'land', 'stumble'] },
+    stumble: { clip: 'stumble', base: 'idle', timeScale: 0.5, hold: 0.3, to: ['knockDown'] },
+    knockDown: { clip: 'death', base: 'idle', timeScale: 0, to: [] },
+}
+
+// Crossfade into each state, with overrides for particular from>to pairs
+const FADE_IN = { idle: 0.2, run: 0.3, walk: 0.3, jumpUp: 0.1, airborne: 0.2, land: 0.06, slide: 0.12, stumble: 0.08, knockDown: 0.35 }
+const FADE_PAIRS = { 'land>run': 0.2, 'slide>run': 0.2, 'airborne>slide': 0.08 }
+
+// Bone rotations (radians, added onto the clip in the bone's own frame) for Mixamo rigs: spine and hips
+// pitch forward on +x, thighs swing forward on -x, knees bend on +x, arms lift on -z.
+// root: drop (fraction of hip height) lowers the model to keep the feet down. rigid: whole-model pose
+// when there is no skeleton — y offset, pitch (+ leans back) and squash (scale.y)
+const POSES = {
+    jumpUp: {
+        bones: { Spine: [0.1, 0, 0], LeftUpLeg: [-0.9, 0, 0], LeftLeg: [1.2, 0, 0], RightUpLeg: [0.3, 0, 0], RightLeg: [0.5, 0, 0], LeftArm: [0, 0, -0.5], RightArm: [0, 0, -0.5] },
+        rigid: { pitch: -0.15, squash: 1.1 },
+    },
+    airborne: {
+        bones: { Spine: [0.25, 0, 0], LeftUpLeg: [-0.8, 0, 0], LeftLeg: [1.4, 0, 0], RightUpLeg: [-0.8, 0, 0], RightLeg: [1.4, 0, 0], LeftArm: [0, 0, -0.3], RightArm: [0, 0, -0.3] },
+        rigid: { pitch: -0.1, squash: 0.9 },
+    },
+    land: {
+        bones: { Hips: [0.1, 0, 0], Spine: [0.4, 0, 0], LeftUpLeg: [-0.7, 0, 0], LeftLeg: [1.2, 0, 0], RightUpLeg: [-0.7, 0, 0], RightLeg: [1.2, 0, 0] },
+        root: { drop: 0.16 },
+        rigid: { squash: 0.7 },
+    },
+    slide: {
+        bones: { Hips: [-0.9, 0, 0], Spine: [0.3, 0, 0], Head: [0.4, 0, 0], LeftUpLeg: [-1.5, 0, 0], RightUpLeg: [-1.5, 0, 0], RightLeg: [0.4, 0, 0], LeftArm: [0, 0, 0.3], RightArm: [0, 0, 0.3] },
+        root: { drop: 0.35 },
+        rigid: { pitch: 0.6, squash: 0.6 },
+    },
+    stumble: {
+        bones: { Hips: [-0.25, 0, 0], Spine: [-0.2, 0, 0], Head: [-0.35, 0, 0], LeftArm: [0, 0, -0.9], RightArm: [0, 0, -0.9] },
+        rigid: { pitch: 0.3 },
+    },
+    knockDown: {
+        bones: { Hips: [1.45, 0, 0], Head: [-0.4, 0, 0], LeftArm: [0, 0, -1.0], RightArm: [0, 0, -1.0], LeftLeg: [0.3, 0, 0], RightLeg: [0.3, 0, 0] },
+        root: { drop: 0.85 },
+        rigid: { pitch: -1.6, y: 0.3 },
+    },
+}
+
+const BONE_NAMES = ['Hips', 'Spine', 'Head', 'LeftUpLeg', 'LeftLeg', 'RightUpLeg', 'RightLeg', 'LeftArm', 'RightArm']
+
+const _euler = new THREE.Euler(), _quat = new THREE.Quaternion(), _vec = new THREE.Vector3()
+
+export default class RunnerAnimator {
+    // model: the character's root object; clips: { idle, run, ... } mapped from the manifest (none for the capsule)
+    constructor(model, clips = {}) {
+        this.model = model
+        this.baseY = model.position.y
+        this.baseScaleY = model.scale.y
+        this.mixer = Object.keys(clips).length ? new THREE.AnimationMixer(model) : null
+        this.actions = {}
+        for (const [key, clip] of Object.entries(clips)) {
+            const action = this.actions[key] = this.mixer.clipAction(clip)
+            if (['jump', 'stumble', 'death'].includes(key)) { action.setLoop(THREE.LoopOnce); action.clampWhenFinished = true }
+        }
+
+        // Mixamo bones by their plain names ('mixamorigLeftUpLeg' → LeftUpLeg), each with the rotation the
+        // clip gave it — the mixer only writes bones whose value changed, so poses are undone before it runs
+        this.bones = {}
+        this.clipPose = new Map()
+        model.traverse(o => {
+            const name = o.isBone && o.name.replace(/^mixamorig:?/, '')
+            if (BONE_NAMES.includes(name) && !this.bones[name]) { this.bones[name] = o; this.clipPose.set(o, o.quaternion.clone()) }
+        })
+        this.rigged = !!this.bones.Hips
+        this.hipHeight = 1
+        if (this.rigged && model.parent) {
+            model.updateMatrixWorld(true)
+            this.hipHeight = model.parent.worldToLocal(this.bones.Hips.getWorldPosition(_vec)).y - model.position.y
+        }
+
+        this.weights = Object.fromEntries(Object.keys(POSES).map(p => [p, 0]))
+        this.state = null; this.stateT = 0; this.fade = 0.2
+        this.action = null
+        this.force('idle')
+    }
+
+    // Jump straight into a state, whatever the transition rules say (restart, revive, touchdown)
+    force(state) {
+        this._enter(state)
+    }
+
+    reset() {
+        for (const p in this.weights) this.weights[p] = 0
+        this.force('idle')
+    }
+
+    // What the runner should be doing now. ctx: { mode: 'idle' | 'run' | 'crash', sliding, jumping, speedRatio }
+    _wanted(ctx) {
+        const s = this.state, held = this.stateT >= (STATES[s].hold || 0)
+        if (ctx.mode === 'crash') return s === 'knockDown' || (s === 'stumble' && held) ? 'knockDown' : 'stumble'
+        if (ctx.mode === 'idle') return s === 'land' && !held ? 'land' : 'idle'
+        if (ctx.sliding) return 'slide'
+        if (ctx.jumping) return s === 'airborne' || (s === 'jumpUp' && held) ? 'airborne' : 'jumpUp'
+        if (s === 'jumpUp' || s === 'airborne' || (s === 'land' && !held)) return 'land'
+        return ctx.speedRatio < 0.7 && this.actions.walk ? 'walk' : 'run'
+    }
+
+    _enter(state) {
+        const from = this.state
+        this.fade = FADE_PAIRS[`${from}>${state}`] ?? FADE_IN[state]
+        this.state = state; this.stateT = 0
+        const def = STATES[state]
+        const key = this.actions[def.clip] ? def.clip : def.base || def.clip
+        const next = this.actions[key]
+        // States sharing a clip (jumpUp and airborne both play the jump) carry on with it
+        if (!next || next === this.action) return
+        if (this.action) this.action.fadeOut(this.fade)
+        next.reset().setEffectiveTimeScale(1).setEffectiveWeight(1).fadeIn(this.fade).play()
+        this.action = next
+    }
+
+    // Advance the machine and the mixer, then lay the procedural poses over the clip
+    update(dt, ctx) {
+        this.stateT += dt
+        const wanted = this._wanted(ctx)
+        if (wanted !== this.state && STATES[this.state].to.includes(wanted)) this._enter(wanted)
+
+        const def = STATES[this.state]
+        const ownClip = !!this.actions[def.clip]
+        if (this.action) {
+            // Running clips keep pace with the track; stand-in clips slow down under their pose
+            let scale = ownClip ? 1 : def.timeScale ?? 1
+            if (this.state === 'run' || this.state === 'walk') scale *= Math.max(0.8, Math.min((ctx.speedRatio || 1) * 0.85, 2.2))
+            this.action.setEffectiveTimeScale(scale)
+        }
+        for (const [bone, q] of this.clipPose) bone.quaternion.copy(q)
+        if (this.mixer) this.mixer.update(dt)
+        for (const [bone, q] of this.clipPose) q.copy(bone.quaternion)
+
+        // Pose weights ease towards the current state's pose over its crossfade
+        const step = dt / Math.max(this.fade, 0.01)
+        for (const p in this.weights) {
+            const target = p === this.state && !ownClip ? 1 : 0
+            this.weights[p] += Math.max(-step, Math.min(step, target - this.weights[p]))
+        }
+        this._applyPoses()
+    }
+
+    _applyPoses() {
+        let y = 0, pitch = 0, squash = 0
+        for (const [p, w] of Object.entries(this.weights)) {
+            if (w <= 0) continue
+            const pose = POSES[p]
+            if (this.rigged) {
+                for (const [bone, [x, ry, z]] of Object.entries(pose.bones)) {
+                    const b = this.bones[bone]
+                    if (b) b.quaternion.multiply(_quat.setFromEuler(_euler.set(x * w, ry * w, z * w)))
+                }
+                if (pose.root) y -= (pose.root.drop || 0) * this.hipHeight * w
+            } else {
+                const r = pose.rigid
+                y += (r.y || 0) * w; pitch += (r.pitch || 0) * w; squash += ((r.squash || 1) - 1) * w
+            }
+        }
+        this.model.position.y = this.baseY + y
+        this.model.rotation.x = pitch
+        this.model.scale.y = this.baseScaleY * (1 + squash)
+    }
+
+    dispose() {
+        if (this.mixer) { this.mixer.stopAllAction(); this.mixer.uncacheRoot(this.model) }
+    }
+}
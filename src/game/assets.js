@@ -0,0 +1,82 @@
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js'
+import { CHARACTERS, CHARACTER_IDS } from './characters'
+import { SOUND_FILES, loadSound } from '../soundCache'
+
+/**
+ * Relic Rush — Asset preloading
+ * Models, sounds and image textures are tracked by one THREE.LoadingManager and fetched once per page:
+ * the desktop starts preloading while the QR code is up, and every game after that takes the parsed
+ * results from the cache, so a restart fetches and parses nothing. A model that isn't cached yet is
+ * loaded on demand through the same cache; a failed load is remembered too, so it isn't retried.
+ */
+
+// Optional scenery models. Put a tree.glb in public/ and set tree to '/tree.glb' to line the track with
+// it; left null, the procedural trees are used and nothing is requested
+export const SCENERY = { tree: null }
+
+// Only the default character is preloaded — the others are fetched once a phone picks them
+const MODELS = [CHARACTERS[CHARACTER_IDS[0]].url, SCENERY.tree].filter(Boolean)
+// Image textures (the temple's stone and moss are drawn on canvases instead)
+const TEXTURES = []
+
+const manager = new THREE.LoadingManager()
+const gltfLoader = new GLTFLoader(manager)
+const textureLoader = new THREE.TextureLoader(manager)
+
+const models = new Map()   // url → promise of the parsed GLTF
+const textures = new Map() // url → promise of the texture
+let preloading = null
+let progress = 0
+const listeners = new Set()
+
+manager.onProgress = (url, loaded, total) => { progress = loaded / total; for (const fn of listeners) fn(progress) }
+
+// Fetch everything in the lists above; resolves once all have settled (failed items count as done).
+// Calling it again returns the same promise
+export function preloadAssets() {
+    if (!preloading) {
+        preloading = Promise.all([
+            ...MODELS.map(url => loadModel(url).catch(() => null)),
+            ...SOUND_FILES.map(url => trackSound(url)),
+            ...TEXTURES.map(url => loadTexture(url).catch(() => null)),
+        ]).then(() => { progress = 1; for (const fn of listeners) fn(progress) })
+    }
+    return preloading
+}
+
+// Hear how far loading has got (0–1), starting with where it is now. Returns the unsubscribe
+export function onAssetProgress(fn) {
+    listeners.add(fn)
+    fn(progress)
+    return () => listeners.delete(fn)
+}
+
+export function loadModel(url) {
+    if (!models.has(url)) models.set(url, gltfLoader.loadAsync(url))
+    return models.get(url)
+}
+
+// Sounds live in their own cache (see soundCache.js) but count towards the same progress
+function trackSound(url) {
+    manager.itemStart(url)
+    return loadSound(url)
+        .catch(() => { manager.itemError(url); return null })
+        .finally(() => manager.itemEnd(url))
+}
+
+export function loadTexture(url) {
+    if (!textures.has(url)) textures.set(url, textureLoader.loadAsync(url))
+    return textures.get(url)
+}
+
+// A game's own copy of a cached model's scene. Skinned meshes get their own skeletons and every mesh its
+// own materials, so tinting or disposing one game's runner leaves the cached model untouched
+export function cloneModel(gltf) {
+    const scene = SkeletonUtils.clone(gltf.scene)
+    scene.traverse(o => {
+        if (o.isMesh) o.material = Array.isArray(o.material) ? o.material.map(m => m.clone()) : o.material.clone()
+    })
+    return scene
+}
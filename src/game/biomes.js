@@ -0,0 +1,90 @@
+/**
+ * Relic Rush — Biomes
+ * Levels carry the run through a cycle of biomes. Each one is a flat palette of colours plus a few
+ * numbers (glow, particle motion); the renderer turns a palette into materials and blends between
+ * two palettes while the course changes over.
+ */
+
+export const BIOMES = [
+    {
+        id: 'jungle', name: 'Jungle Temple',
+        pathBase: 0x8a7a5a, pathLine: 0x706040, path: 0xb09060, border: 0x8a7a58, chan: 0x6a5a40, crack: 0x7a6a48,
+        wallBase: 0x6a5a4a, wallLine: 0x584838, wall: 0x8a7a60, mossBase: 0x4a6b3a, moss: 0x3a6a2a,
+        cap: 0x7a6a50, face: 0x9a8a68, ivy: 0x2a6a18, brick: 0x8a7a5a,
+        stone: 0x6a5a4a, stoneDark: 0x4a3a2a, roof: 0x4a5a3a, vine: 0x2a5a1a, foliage: 0x3a7a2a,
+        treeLeaf: [0x1a5a2a, 0x226a30, 0x185020, 0x2a7a38, 0x1a6a28],
+        rock: 0x5a5a5a, obsMoss: 0x2a6a1a, wood: 0x3a2510, bark: 0x2a1a08, leaf: 0x1a5a2a, ruin: 0x7a6a5a,
+        water: 0x0a4a4a, waterGlow: 0x003333, waterRough: 0.2, waterShine: 0.6, glow: 0,
+        sky: 0x87CEEB, fog: 0x87CEEB, ambient: 0xffeedd, sun: 0xffdd88, hemiSky: 0x87CEEB, hemiGround: 0x556B2F,
+        particle: 0x88ffaa, particleSize: 0.06, rise: 0.2, drift: 0,  // floating spores
+    },
+    {
+        id: 'desert', name: 'Sandstone Tomb',
+        pathBase: 0xc8a878, pathLine: 0xa88858, path: 0xe0c090, border: 0xc0a070, chan: 0xa08050, crack: 0xb89868,
+        wallBase: 0xb89060, wallLine: 0x987040, wall: 0xd8b080, mossBase: 0xd8c090, moss: 0xe0c898,
+        cap: 0xc09a68, face: 0xd0b080, ivy: 0x8a7a3a, brick: 0xc8a070,
+        stone: 0xb89060, stoneDark: 0x8a6a40, roof: 0xa07848, vine: 0x7a6a30, foliage: 0x9a8a40,
+        treeLeaf: [0x7a8a30, 0x8a9038, 0x6a7a28, 0x9a9a40, 0x7a8028],
+        rock: 0xb08a5a, obsMoss: 0xd8c090, wood: 0x6a4a28, bark: 0x4a3018, leaf: 0x8a8a3a, ruin: 0xc8a070,
+        water: 0xd8b878, waterGlow: 0x4a3010, waterRough: 0.9, waterShine: 0.05, glow: 0, // dunes
+        sky: 0xf0d8a0, fog: 0xe8c890, ambient: 0xfff0d8, sun: 0xffe0a0, hemiSky: 0xf0d8a0, hemiGround: 0x9a7a4a,
+        particle: 0xe8c890, particleSize: 0.05, rise: -0.05, drift: 1.5, // blowing sand
+    },
+    {
+        id: 'frozen', name: 'Frozen Cavern',
+        pathBase: 0x9aa8b8, pathLine: 0x7a8898, path: 0xc8d8e8, border: 0xa0b0c0, chan: 0x7888a0, crack: 0xb0c0d0,
+        wallBase: 0x6a7a8a, wallLine: 0x4a5a6a, wall: 0x9ab0c8, mossBase: 0xe8f4ff, moss: 0xf0f8ff,
+        cap: 0xd0e0f0, face: 0xa0b8d0, ivy: 0xf0f8ff, brick: 0x8aa0b8,
+        stone: 0x6a7a8a, stoneDark: 0x4a5a6a, roof: 0xd0e0f0, vine: 0xa8d0f0, foliage: 0xe0f0ff,
+        treeLeaf: [0x2a4a3a, 0x30503a, 0x264436, 0x385a48, 0x2a4e3c],
+        rock: 0x7a8a9a, obsMoss: 0xf0f8ff, wood: 0x4a3a30, bark: 0x3a2a20, leaf: 0xd8ecff, ruin: 0x8a9aaa,
+        water: 0x9ad0f0, waterGlow: 0x204060, waterRough: 0.1, waterShine: 0.8, glow: 0, // ice sheet
+        sky: 0x2a3a5a, fog: 0x3a4a6a, ambient: 0xc8d8ff, sun: 0xaaccff, hemiSky: 0x6a8aba, hemiGround: 0x2a3a4a,
+        particle: 0xffffff, particleSize: 0.09, rise: -1.2, drift: 0.3, // falling snow
+    },
+    {
+        id: 'lava', name: 'Lava Ruin',
+        pathBase: 0x3a3030, pathLine: 0x201818, path: 0x5a4a48, border: 0x2a2020, chan: 0xff5500, crack: 0x4a3a38,
+        wallBase: 0x3a2a28, wallLine: 0x1a1010, wall: 0x5a4040, mossBase: 0xff5a10, moss: 0xff4400,
+        cap: 0x2a2020, face: 0x5a4040, ivy: 0x8a2a10, brick: 0x4a3a38,
+        stone: 0x3a2a28, stoneDark: 0x1a1010, roof: 0x2a1a18, vine: 0x3a1a10, foliage: 0x8a2a10,
+        treeLeaf: [0x2a1a18, 0x3a1a10, 0x241414, 0x4a2010, 0x301818],
+        rock: 0x2a2424, obsMoss: 0xff5a10, wood: 0x1a1210, bark: 0x0a0808, leaf: 0xff6a20, ruin: 0x4a3a38,
+        water: 0xff4400, waterGlow: 0xff2200, waterRough: 0.6, waterShine: 0.3, glow: 0.8, // lava lake
+        sky: 0x2a0a05, fog: 0x3a1208, ambient: 0xffb088, sun: 0xff8844, hemiSky: 0x5a2010, hemiGround: 0x2a0a05,
+        particle: 0xff8833, particleSize: 0.08, rise: 1.5, drift: 0, // rising embers
+    },
+]
+
+// Course changes over across this many path tiles
+export const BLEND_TILES = 4
+
+// Level 1 is the jungle; every level after moves on one biome and the cycle repeats
+export function biomeIndexForLevel(level) {
+    return (Math.max(1, level) - 1) % BIOMES.length
+}
+
+// Every plain number in a palette is a colour except these
+const SCALAR_KEYS = ['waterRough', 'waterShine', 'glow', 'particleSize', 'rise', 'drift']
+const COLOR_KEYS = new Set(Object.keys(BIOMES[0]).filter(k => typeof BIOMES[0][k] === 'number' && !SCALAR_KEYS.includes(k)))
+
+function lerpColor(a, b, t) {
+    const ch = s => Math.round(((a >> s) & 255) + (((b >> s) & 255) - ((a >> s) & 255)) * t)
+    return (ch(16) << 16) | (ch(8) << 8) | ch(0)
+}
+
+// Palette part-way from biome a to biome b; colours blend per channel, numbers linearly
+export function mixPalette(a, b, t) {
+    if (t <= 0) return a
+    if (t >= 1) return b
+    const out = { id: `${a.id}>${b.id}`, name: b.name }
+    for (const key of Object.keys(a)) {
+        if (key === 'id' || key === 'name') continue
+        const va = a[key], vb = b[key]
+        if (Array.isArray(va)) out[key] = va.map((c, i) => lerpColor(c, vb[i], t))
+        else if (COLOR_KEYS.has(key)) out[key] = lerpColor(va, vb, t)
+        else out[key] = va + (vb - va) * t
+    }
+    return out
+}
+
@@ -0,0 +1,37 @@
+/**
+ * Relic Rush — Characters
+ * Every runner model the game can load. Each entry says where its GLB lives, how big it is, which way it
+ * faces (radians about Y; the run goes towards -Z) and which of its clips plays each animation. Clips set to
+ * null are missing from the model and get a procedural stand-in; idle and run are required.
+ *
+ * Only the Soldier ships, so there is nothing to pick between yet and the phone has no character picker.
+ */
+
+export const CHARACTERS = {
+    soldier: {
+        label: 'Soldier', url: '/Soldier.glb', scale: 1.35, facing: 0,
+        clips: { idle: 'Idle', walk: 'Walk', run: 'Run', jump: null, slide: null, stumble: null, death: null },
+    },
+}
+
+export const CHARACTER_IDS = Object.keys(CHARACTERS)
+
+export const REQUIRED_CLIPS = ['idle', 'run']
+
+// A character id as sent from the phone, with anything unknown swapped for the Soldier
+export function readCharacter(id) {
+    return CHARACTER_IDS.includes(id) ? id : CHARACTER_IDS[0]
+}
+
+// Map a loaded GLB's clips by the manifest's names. Returns null if a required clip isn't mapped or
+// any mapped clip is missing from the file — the model doesn't match its entry
+export function mapClips(character, animations) {
+    const clips = {}
+    for (const [key, name] of Object.entries(character.clips)) {
+        if (name === null) continue
+        const clip = animations.find(c => c.name === name)
+        if (!clip) return null
+        clips[key] = clip
+    }
+    return REQUIRED_CLIPS.every(key => clips[key]) ? clips : null
+}
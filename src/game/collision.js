@@ -0,0 +1,61 @@
+/**
+ * Relic Rush — Collision shapes
+ * Each obstacle type declares its hitbox as one or more boxes, and the runner has a hull per stance.
+ * Overlap is swept over the whole step, so nothing tunnels through at top speed.
+ *
+ * Boxes are { x: [min, max], y: [min, max], z: [min, max] }. Obstacle boxes are relative to the point
+ * on the ground under the obstacle; runner hulls are relative to the runner's feet.
+ */
+
+function box(x0, x1, y0, y1, z0, z1) {
+    return { x: [x0, x1], y: [y0, y1], z: [z0, z1] }
+}
+
+export const OBSTACLE_HITBOXES = {
+    // Boulder cluster — the main rock plus a low skirt of side rocks. Too tall to jump
+    block: [
+        box(-0.6, 0.6, 0, 2.9, -0.6, 0.6),
+        box(-0.75, 0.75, 0, 0.9, -0.75, 0.75),
+    ],
+    // Overhang — the stone beam and the vine curtain under it. Clear space below 1.3 to slide through
+    overhead: [
+        box(-0.6, 0.6, 2.6, 3.6, -0.7, 0.7),
+        box(-0.6, 0.6, 1.3, 2.6, -0.3, 0.3),
+    ],
+    // Fallen trunk — low and long, with broken branch stubs in the middle. Jump it
+    barrier: [
+        box(-0.6, 0.6, 0, 0.9, -0.5, 0.5),
+        box(-0.4, 0.4, 0.9, 1.2, -0.2, 0.2),
+    ],
+}
+
+export const RUNNER_HULLS = {
+    standing: box(-0.35, 0.35, 0, 1.8, -0.3, 0.3),
+    jumping: box(-0.35, 0.35, 0.15, 1.7, -0.3, 0.3), // legs tucked
+    sliding: box(-0.35, 0.35, 0, 0.9, -0.5, 0.5),    // low and stretched out
+}
+
+export function runnerHull(sim) {
+    if (sim.sliding) return RUNNER_HULLS.sliding
+    return sim.jumping ? RUNNER_HULLS.jumping : RUNNER_HULLS.standing
+}
+
+function overlaps(a0, a1, b0, b1) {
+    return a0 < b1 && b0 < a1
+}
+
+/**
+ * Did the runner touch this obstacle at any point during the step?
+ * The runner moves from `from` to `to` ({ x, y }) while the obstacle scrolls from z0 to z1;
+ * both motions are swept into one box each, so a fast step can never skip past a thin obstacle.
+ */
+export function sweptHit(hull, from, to, obstacle, z0, z1) {
+    const px0 = Math.min(from.x, to.x) + hull.x[0], px1 = Math.max(from.x, to.x) + hull.x[1]
+    const py0 = Math.min(from.y, to.y) + hull.y[0], py1 = Math.max(from.y, to.y) + hull.y[1]
+    for (const b of OBSTACLE_HITBOXES[obstacle.type]) {
+        if (!overlaps(px0, px1, obstacle.x + b.x[0], obstacle.x + b.x[1])) continue
+        if (!overlaps(py0, py1, b.y[0], b.y[1])) continue
+        if (overlaps(hull.z[0], hull.z[1], Math.min(z0, z1) + b.z[0], Math.max(z0, z1) + b.z[1])) return true
+    }
+    return false
+}
@@ -0,0 +1,42 @@
+/**
+ * Relic Rush — Cosmetics
+ * Everything the shop sells, by slot. The phone prices and unlocks them; the renderer only needs the
+ * colours. The first item in each slot is free and what every runner starts with.
+ */
+
+export const COSMETICS = {
+    tint: [
+        { id: 'none', label: 'Explorer', price: 0, color: null },
+        { id: 'jade', label: 'Jade', price: 150, color: 0x44bb77 },
+        { id: 'crimson', label: 'Crimson', price: 250, color: 0xcc3333 },
+        { id: 'obsidian', label: 'Obsidian', price: 300, color: 0x3a3a4a },
+        { id: 'gilded', label: 'Gilded', price: 500, color: 0xe2b963 },
+    ],
+    trail: [
+        { id: 'none', label: 'None', price: 0, color: null },
+        { id: 'dust', label: 'Dust', price: 100, color: 0xc8a878 },
+        { id: 'embers', label: 'Embers', price: 250, color: 0xff6622 },
+        { id: 'spirit', label: 'Spirit', price: 400, color: 0x66ddff },
+    ],
+    parachute: [
+        { id: 'classic', label: 'Classic', price: 0, canopy: 0xff4420, stripe: 0xffffff },
+        { id: 'canopy', label: 'Canopy', price: 120, canopy: 0x2a7a38, stripe: 0xe8d8a0 },
+        { id: 'royal', label: 'Royal', price: 200, canopy: 0x3a2a8a, stripe: 0xe2b963 },
+        { id: 'midnight', label: 'Midnight', price: 200, canopy: 0x101828, stripe: 0x66ddff },
+    ],
+}
+
+export const COSMETIC_SLOTS = Object.keys(COSMETICS)
+
+export const DEFAULT_LOOK = Object.fromEntries(COSMETIC_SLOTS.map(slot => [slot, COSMETICS[slot][0].id]))
+
+// The item for an id, or the slot's free default if the id is unknown
+export function cosmeticItem(slot, id) {
+    const items = COSMETICS[slot]
+    return items.find(item => item.id === id) || items[0]
+}
+
+// A look as sent from the phone, with anything unknown swapped for the default
+export function readLook(look = {}) {
+    return Object.fromEntries(COSMETIC_SLOTS.map(slot => [slot, cosmeticItem(slot, look && look[slot]).id]))
+}
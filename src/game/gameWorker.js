@@ -0,0 +1,42 @@
+import * as sounds from '../sounds'
+import RelicRushGame from './RelicRushGame'
+
+/**
+ * Relic Rush — Render worker
+ * Runs RelicRushGame off the main thread, drawing into an OffscreenCanvas handed over by WorkerGame.
+ * Calls come in as messages; callbacks, simulation events and sounds go back the same way, each
+ * carrying the game's id so nothing from a destroyed game reaches the next one.
+ */
+
+const games = new Map()
+
+// What the page's mirror of the simulation reads between events
+function simState(game) {
+    return game ? { dist: game.sim.dist, comboT: game.sim.comboT, bestCombo: game.sim.bestCombo, guardian: game.sim.guardian } : null
+}
+
+function create({ id, canvas, size, pixelRatio, callbacks, options }) {
+    let game = null
+    const post = (type, data) => self.postMessage({ type, id, sim: simState(game), ...data })
+    // Every callback the page asked for goes back as a message; the final one brings the run's record
+    const relayed = Object.fromEntries(callbacks.map(name => [name, (...args) => {
+        post('callback', { name, args, record: name === 'onGameOver' ? game.getRunRecord() : undefined })
+    }]))
+    // There's no audio in a worker — the page plays every sound
+    const soundProxy = Object.fromEntries(Object.keys(sounds).filter(name => typeof sounds[name] === 'function')
+        .map(name => [name, (...args) => post('sound', { name, args })]))
+    game = new RelicRushGame(null, relayed, { ...options, canvas, size, pixelRatio, sounds: soundProxy })
+    game.sim.on('*', (event, payload) => post('sim', { event, payload }))
+    games.set(id, game)
+}
+
+self.onmessage = ({ data }) => {
+    const game = games.get(data.id)
+    switch (data.type) {
+        case 'create': create(data); break
+        case 'call': if (game) game[data.method](...data.args); break
+        case 'resize': if (game) game.resize(data.w, data.h); break
+        case 'stats': if (game) self.postMessage({ type: 'stats', id: data.id, stats: game.memoryStats() }); break
+        case 'destroy': if (game) { game.destroy(); games.delete(data.id) } break
+    }
+}
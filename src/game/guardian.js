@@ -0,0 +1,48 @@
+/**
+ * Relic Rush — Temple Guardian
+ * A second phone can join a solo run as the guardian, spending a regenerating energy bar on tricks that
+ * get in the runner's way. Every trick is one entry here: its cost and what it does to the simulation.
+ * The guardian can only ask — the simulation runs `apply`, which returns false to refuse, and nothing is
+ * spent on a refusal. A dropped obstacle is refused if it would wall off all three lanes, land too close
+ * to react to, or fall in the clear stretch around a corner.
+ *
+ * Hooks take (sim, lane); lane is -1, 0 or 1 for tricks that aim at one.
+ */
+
+export const GUARDIAN_ENERGY = { max: 100, start: 50, regen: 8 } // regen per second
+
+export const GUARDIAN_ACTIONS = {
+    drop: {
+        label: 'Drop Obstacle', cost: 40, aimed: true,
+        apply(sim, lane) {
+            if (![-1, 0, 1].includes(lane)) return false
+            // Far enough ahead to see and react to at the current speed
+            const z = -Math.max(35, sim.speed * sim.mods.speed * 1.6)
+            if (sim._clearOfCorner(z) !== z) return false
+            // The farthest obstacle is pulled in — the one the runner would have met last
+            const o = sim.obstacles.reduce((a, b) => (b.z < a.z ? b : a))
+            // Rows are spaced as the simulation lays them out itself, so a drop never walls off what recycling wouldn't
+            if (!sim.isSafeLane(lane, z, o)) return false
+            o.z = z; o.lane = lane; o.x = lane * sim.LANE_W
+            o.y = o.type === 'overhead' ? 2.5 : o.hh / 2
+            o.active = true
+            return true
+        },
+    },
+    fog: {
+        // The renderer pulls the fog in to `far` metres while it lasts
+        label: 'Thicken Fog', cost: 30, duration: 6, far: 40,
+        apply(sim) { sim.guardian.fogT = GUARDIAN_ACTIONS.fog.duration; return true },
+    },
+    hide: {
+        label: 'Hide Coins', cost: 25, range: 80,
+        // Coins ahead turn invisible — still there to be picked up by a runner who remembers the line
+        apply(sim) {
+            const ahead = sim.coinList.filter(c => c.active && !c.hidden && c.z < 0 && c.z > -GUARDIAN_ACTIONS.hide.range)
+            for (const c of ahead) c.hidden = true
+            return ahead.length > 0
+        },
+    },
+}
+
+export const GUARDIAN_ACTION_TYPES = Object.keys(GUARDIAN_ACTIONS)
@@ -0,0 +1,108 @@
+import * as THREE from 'three'
+
+/**
+ * Relic Rush — Instanced props
+ * Small repeated props (coins, pebbles, wall ivy, vines, tree parts) are drawn as one InstancedMesh per
+ * geometry and material instead of a mesh each. Every prop keeps an owner — an empty Group that scrolls,
+ * hides and recycles exactly like the meshes used to — and `sync` writes each part's matrix from its owner,
+ * collapsing the parts of hidden owners.
+ *
+ * Parts in a biome material share one batch per role and carry the colour as an instance colour, so a tile
+ * re-skinned to another biome only recolours its own parts. Glowing roles tint their emissive the same way.
+ */
+
+const _m = new THREE.Matrix4(), _q = new THREE.Quaternion(), _e = new THREE.Euler(), _p = new THREE.Vector3(), _s = new THREE.Vector3()
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0)
+
+// A part's place on its owner: position, Euler rotation and scale (a number scales evenly)
+export function partMatrix([x, y, z], [rx, ry, rz] = [0, 0, 0], scale = 1) {
+    const [sx, sy, sz] = typeof scale === 'number' ? [scale, scale, scale] : scale
+    return new THREE.Matrix4().compose(_p.set(x, y, z), _q.setFromEuler(_e.set(rx, ry, rz)), _s.set(sx, sy, sz))
+}
+
+// White copy of a biome material — the instance colour supplies the tint, emissive included
+function tintable(material) {
+    const m = material.clone()
+    m.color.set(0xffffff)
+    if (m.emissive.getHex() !== 0) {
+        m.emissive.set(0xffffff)
+        m.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace('#include <emissivemap_fragment>',
+                '#include <emissivemap_fragment>\n#ifdef USE_COLOR\n\ttotalEmissiveRadiance *= vColor;\n#endif')
+        }
+    }
+    return m
+}
+
+// Recolour a part (its owner re-skinned to another biome)
+export function setPartColor(part, color) {
+    part.color.copy(color)
+    const mesh = part.batch.mesh
+    if (mesh) { mesh.setColorAt(part.index, color); mesh.instanceColor.needsUpdate = true }
+}
+
+export default class InstancedProps {
+    constructor(parent) {
+        this.parent = parent
+        this.batches = new Map()
+        this.owners = new Set()
+    }
+
+    // Register a part before build(). tint: the biome role it plays, if any — parts of the same role share a
+    // batch whatever biome they're in. Returns the part, whose `local` matrix can be changed later
+    add(owner, geometry, material, local, { tint = null, castShadow = false, receiveShadow = false } = {}) {
+        const key = `${geometry.uuid}:${tint || material.uuid}`
+        let batch = this.batches.get(key)
+        if (!batch) {
+            batch = { geometry, material, tint, castShadow, receiveShadow, parts: [], mesh: null }
+            this.batches.set(key, batch)
+        }
+        const part = { batch, index: batch.parts.length, owner, local, color: tint ? material.color.clone() : null }
+        batch.parts.push(part)
+        if (!owner.userData.parts) owner.userData.parts = []
+        owner.userData.parts.push(part)
+        this.owners.add(owner)
+        return part
+    }
+
+    // One InstancedMesh per batch, sized to its parts
+    build() {
+        for (const b of this.batches.values()) {
+            const mesh = new THREE.InstancedMesh(b.geometry, b.tint ? tintable(b.material) : b.material, b.parts.length)
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
+            // Instances move every frame, so the mesh-wide bounds would always be stale
+            mesh.frustumCulled = false
+            mesh.castShadow = b.castShadow; mesh.receiveShadow = b.receiveShadow
+            for (const p of b.parts) if (p.color) mesh.setColorAt(p.index, p.color)
+            b.mesh = mesh
+            this.parent.add(mesh)
+        }
+        this.sync()
+    }
+
+    // Glowing roles follow the biome's glow strength
+    setGlow(intensity) {
+        for (const b of this.batches.values()) {
+            if (b.tint && b.mesh.material.emissive.getHex() !== 0) b.mesh.material.emissiveIntensity = intensity
+        }
+    }
+
+    // Write every part's matrix from its owner's place in the world
+    sync() {
+        for (const o of this.owners) o.updateMatrix()
+        for (const b of this.batches.values()) {
+            for (const p of b.parts) b.mesh.setMatrixAt(p.index, p.owner.visible ? _m.multiplyMatrices(p.owner.matrix, p.local) : HIDDEN)
+            b.mesh.instanceMatrix.needsUpdate = true
+        }
+    }
+
+    dispose() {
+        for (const b of this.batches.values()) {
+            if (!b.mesh) continue
+            this.parent.remove(b.mesh)
+            if (b.tint) b.mesh.material.dispose()
+            b.mesh.dispose()
+        }
+        this.batches.clear(); this.owners.clear()
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Relic Rush — Power-ups
+ * Every power-up is one entry here: how it looks on the course, how long it lasts and what it does.
+ * The simulation runs the hooks and the renderer builds the look, but neither names a type — adding
+ * a power-up means adding an entry.
+ *
+ * Hooks take (sim, fx), where fx is the running effect { type, t } and t is the time left:
+ *   activate  — picked up while not already running (picking it up again only refills the time)
+ *   tick      — every step while running, with dt as a third argument
+ *   expire    — ran out, or was used up through sim.endEffect
+ *   absorbHit — the runner touched an obstacle (third argument); return true to survive it
+ * Plain stat changes go through sim.mods, which activate raises and expire puts back.
+ *
+ * `mesh` receives THREE and returns the pickup's geometry, so this file stays free of Three.js
+ * and the rules still run headless. `aura` wraps the runner in a bubble of the power-up's colour.
+ */
+
+export const POWER_UPS = {
+    shield: {
+        label: 'Shield', color: 0x44aaff, duration: 8, aura: true,
+        mesh: THREE => new THREE.OctahedronGeometry(0.4, 0),
+        // Takes one hit, then it's spent
+        absorbHit(sim, fx, obstacle) {
+            obstacle.active = false
+            sim.endEffect('shield')
+            sim.emit('shieldBreak', { obstacle })
+            return true
+        },
+    },
+    magnet: {
+        label: 'Magnet', color: 0xff44aa, duration: 6,
+        mesh: THREE => new THREE.TorusGeometry(0.32, 0.11, 8, 16, Math.PI),
+        // Pulls in coins within 6m
+        tick(sim, fx, dt) {
+            for (const c of sim.coinList) {
+                if (!c.active) continue
+                const dx = c.x - sim.playerX, dz = c.z
+                if (Math.sqrt(dx * dx + dz * dz) < 6) { c.x -= dx * 5 * dt; c.z -= dz * 5 * dt }
+            }
+        },
+    },
+    multiplier: {
+        label: '2x Score', color: 0xffdd33, duration: 10,
+        mesh: THREE => new THREE.IcosahedronGeometry(0.38, 0),
+        activate(sim) { sim.mods.score *= 2 },
+        expire(sim) { sim.mods.score /= 2 },
+    },
+    doubler: {
+        label: 'Coin Doubler', color: 0xffaa00, duration: 10,
+        mesh: THREE => new THREE.CylinderGeometry(0.38, 0.38, 0.12, 16).rotateX(Math.PI / 2),
+        activate(sim) { sim.mods.coin *= 2 },
+        expire(sim) { sim.mods.coin /= 2 },
+    },
+    feather: {
+        label: 'Feather', color: 0xccffee, duration: 10,
+        mesh: THREE => new THREE.ConeGeometry(0.22, 0.8, 6),
+        activate(sim) { sim.mods.jump *= 1.35 },
+        expire(sim) { sim.mods.jump /= 1.35 },
+    },
+    sprint: {
+        label: 'Sprint', color: 0xff6622, duration: 5, aura: true,
+        mesh: THREE => new THREE.TetrahedronGeometry(0.45, 0),
+        // Faster and unstoppable: obstacles that can't be dodged in time are smashed
+        activate(sim) { sim.mods.speed *= 1.6; sim.mods.invincible++ },
+        expire(sim) { sim.mods.speed /= 1.6; sim.mods.invincible-- },
+        // Steers round whatever is ahead and takes corners without a swipe, one lane a step, the same way
+        // a swipe does
+        tick(sim) {
+            const ahead = sim.nextCorner.dist - sim.dist
+            if (ahead <= 3) {
+                if (sim.canTurn('left')) sim.steer('left')
+                else if (sim.canTurn('right')) sim.steer('right')
+            }
+            const look = sim.speed * sim.mods.speed * 0.5
+            const blocked = lane => sim.obstacles.some(o => o.active && o.lane === lane && o.z > -look && o.z < 1)
+            if (!blocked(sim.tgtLane)) return
+            const lanes = [-1, 0, 1].sort((a, b) => Math.abs(a - sim.tgtLane) - Math.abs(b - sim.tgtLane))
+            const free = lanes.find(l => !blocked(l))
+            if (free !== undefined) sim.steer(free < sim.tgtLane ? 'left' : 'right')
+        },
+    },
+}
+
+export const POWER_UP_TYPES = Object.keys(POWER_UPS)
@@ -0,0 +1,69 @@
+/**
+ * Relic Rush — Graphics quality
+ * Presets from Low to Ultra (Ultra is the full look), and the frame-rate governor that moves between them
+ * in Auto mode. Antialiasing is fixed when the renderer is created, so it follows the starting level only.
+ */
+
+export const QUALITY_PRESETS = {
+    low: { label: 'Low', antialias: false, pixelRatio: 1, shadows: false, shadowSize: 512, torchLights: 0, fogFar: 110, scenery: 0.4 },
+    medium: { label: 'Medium', antialias: false, pixelRatio: 1, shadows: true, shadowSize: 1024, torchLights: 4, fogFar: 140, scenery: 0.6 },
+    high: { label: 'High', antialias: true, pixelRatio: 1.5, shadows: true, shadowSize: 2048, torchLights: 8, fogFar: 160, scenery: 0.8 },
+    ultra: { label: 'Ultra', antialias: true, pixelRatio: 2, shadows: true, shadowSize: 2048, torchLights: 14, fogFar: 180, scenery: 1 },
+}
+
+export const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS)
+
+// What the phone can pick: Auto, or one fixed preset
+export const QUALITY_MODES = ['auto', ...QUALITY_LEVELS]
+
+export const AUTO_START = 'high'
+
+export function readQuality(mode) {
+    return QUALITY_MODES.includes(mode) ? mode : 'auto'
+}
+
+export function readLevel(level) {
+    return QUALITY_LEVELS.includes(level) ? level : AUTO_START
+}
+
+const WINDOW = 2        // seconds of frames averaged per check
+const DOWN_FPS = 45     // a window slower than this steps down straight away
+const UP_FPS = 57       // ...faster than this counts towards stepping up
+const UP_WINDOWS = 5    // good windows in a row before stepping up
+const RETRY_AFTER = 60  // seconds before trying again a level that was too slow
+
+// Watches frame times and says when to change level. Steps down quickly, up slowly, and holds off
+// going back to a level that already proved too slow
+export class QualityGovernor {
+    constructor(level = AUTO_START) {
+        this.index = QUALITY_LEVELS.indexOf(readLevel(level))
+        this.time = 0; this.frames = 0; this.good = 0
+        this.clock = 0; this.failed = {} // level index → when it was last too slow
+    }
+
+    get level() {
+        return QUALITY_LEVELS[this.index]
+    }
+
+    // Feed one frame's duration; returns the new level when it should change, otherwise null
+    sample(dt) {
+        this.time += dt; this.frames++; this.clock += dt
+        if (this.time < WINDOW) return null
+        const fps = this.frames / this.time
+        this.time = 0; this.frames = 0
+        if (fps < DOWN_FPS) {
+            this.good = 0
+            if (this.index === 0) return null
+            this.failed[this.index] = this.clock
+            this.index--
+            return this.level
+        }
+        this.good = fps > UP_FPS ? this.good + 1 : 0
+        const up = this.index + 1
+        if (this.good < UP_WINDOWS || up >= QUALITY_LEVELS.length) return null
+        if (this.failed[up] != null && this.clock - this.failed[up] < RETRY_AFTER) return null
+        this.good = 0
+        this.index = up
+        return this.level
+    }
+}
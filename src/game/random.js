@@ -0,0 +1,58 @@
+/**
+ * Relic Rush — Seeded randomness
+ * Every layout decision draws from one of these streams so a seed always rebuilds the same course.
+ */
+
+// mulberry32 — tiny, fast and plenty random for level layout
+export function createRng(seed) {
+    let a = seed >>> 0
+    return function rand() {
+        a = (a + 0x6D2B79F5) >>> 0
+        let t = a
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// FNV-1a string hash, used to turn labels and dates into seeds
+export function hashString(str) {
+    let h = 0x811c9dc5
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i)
+        h = Math.imul(h, 0x01000193)
+    }
+    return h >>> 0
+}
+
+// Independent stream per subsystem, so obstacles recycling never shifts where coins land
+export function createRngStream(seed, label) {
+    return createRng(hashString(`${label}:${seed >>> 0}`))
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0
+}
+
+// Local calendar day, so everyone playing "today" gets the same course in their own timezone
+export function dateKey(date = new Date()) {
+    const m = String(date.getMonth() + 1).padStart(2, '0')
+    const d = String(date.getDate()).padStart(2, '0')
+    return `${date.getFullYear()}-${m}-${d}`
+}
+
+export function dailySeed(date = new Date()) {
+    return hashString(`relic-rush-daily-${dateKey(date)}`)
+}
+
+// Seeds are shown and typed as short base-36 codes, e.g. "1Z141Z3"
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(36).toUpperCase()
+}
+
+export function parseSeed(text) {
+    const s = String(text || '').trim().toLowerCase()
+    if (!/^[0-9a-z]{1,7}$/.test(s)) return null
+    const n = parseInt(s, 36)
+    return n <= 0xffffffff ? n >>> 0 : null
+}
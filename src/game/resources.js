@@ -0,0 +1,76 @@
+/**
+ * Relic Rush — Resource registry
+ * Everything a game holds beyond its scene graph: textures and other disposables the scene traverse can't
+ * reach, animation mixers, window listeners, timers, animation frames and pending loads. destroy() calls
+ * release() once and all of it goes; a callback or load that comes in after that is dropped.
+ *
+ * Each track call returns a function that releases that one resource early.
+ */
+export default class ResourceRegistry {
+    constructor() {
+        this.releasers = new Set()
+        this.released = false
+    }
+
+    // How many resources are still held
+    get size() {
+        return this.releasers.size
+    }
+
+    _hold(release) {
+        let done = false
+        const releaser = () => {
+            if (done) return
+            done = true
+            this.releasers.delete(releaser)
+            release()
+        }
+        this.releasers.add(releaser)
+        return releaser
+    }
+
+    // Anything with dispose(): textures, geometries, materials, render targets
+    track(resource) {
+        this._hold(() => resource.dispose())
+        return resource
+    }
+
+    mixer(mixer, root) {
+        this._hold(() => { mixer.stopAllAction(); mixer.uncacheRoot(root) })
+        return mixer
+    }
+
+    listen(target, type, fn) {
+        target.addEventListener(type, fn)
+        return this._hold(() => target.removeEventListener(type, fn))
+    }
+
+    timeout(fn, ms) {
+        const id = setTimeout(() => { releaser(); if (!this.released) fn() }, ms)
+        const releaser = this._hold(() => clearTimeout(id))
+        return releaser
+    }
+
+    interval(fn, ms) {
+        const id = setInterval(() => { if (!this.released) fn() }, ms)
+        return this._hold(() => clearInterval(id))
+    }
+
+    frame(fn) {
+        const id = requestAnimationFrame(t => { releaser(); if (!this.released) fn(t) })
+        const releaser = this._hold(() => cancelAnimationFrame(id))
+        return releaser
+    }
+
+    // Settles like the promise — unless the registry is released first, then it never does
+    load(promise) {
+        return new Promise((resolve, reject) => {
+            promise.then(v => { if (!this.released) resolve(v) }, e => { if (!this.released) reject(e) })
+        })
+    }
+
+    release() {
+        this.released = true
+        for (const releaser of [...this.releasers]) releaser()
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * Relic Rush — Missions & achievements
+ * Three missions are active at a time; finishing one swaps in the next from the pool, a little harder each
+ * time round. Achievements are one-off goals on lifetime totals. Both are kept per player name in
+ * localStorage on the desktop, next to the run records.
+ *
+ * A MissionTracker follows one run's simulation events and reports progress as it goes.
+ */
+
+const STORAGE_KEY = 'relicRush.missions'
+const ACTIVE_COUNT = 3
+
+// Stats counted through a run. `peak` stats are a current value (a streak, the combo) rather than a tally
+const PEAK_STATS = ['steady', 'combo']
+// Shown to the nearest 10m, so progress isn't resent every metre
+const DISTANCE_STATS = ['distance', 'steady']
+
+// scope 'run' must be done within one run; 'total' carries over between runs.
+// The target is base + step × times completed before, capped at max
+export const MISSION_POOL = [
+    { id: 'dist-run', label: 'Run {n}m in one run', stat: 'distance', scope: 'run', base: 1000, step: 500 },
+    { id: 'coins-total', label: 'Collect {n} coins', stat: 'coins', scope: 'total', base: 150, step: 150 },
+    { id: 'jumps-run', label: 'Jump {n} times in one run', stat: 'jumps', scope: 'run', base: 20, step: 10 },
+    { id: 'steady', label: 'Run {n}m without changing lanes', stat: 'steady', scope: 'run', base: 150, step: 75 },
+    { id: 'shields', label: 'Use {n} shields', stat: 'shields', scope: 'total', base: 2, step: 2 },
+    { id: 'slides-run', label: 'Slide {n} times in one run', stat: 'slides', scope: 'run', base: 15, step: 10 },
+    { id: 'turns-run', label: 'Take {n} turns in one run', stat: 'turns', scope: 'run', base: 2, step: 2 },
+    { id: 'combo', label: 'Reach a x{n} combo', stat: 'combo', scope: 'run', base: 2.5, step: 0.5, max: 5 },
+    { id: 'powerups', label: 'Pick up {n} power-ups', stat: 'powerUps', scope: 'total', base: 8, step: 8 },
+    { id: 'coins-run', label: 'Collect {n} coins in one run', stat: 'coins', scope: 'run', base: 60, step: 40 },
+    { id: 'smashes', label: 'Smash {n} obstacles on a sprint', stat: 'smashes', scope: 'total', base: 5, step: 5 },
+]
+
+// Checked against lifetime totals (`best*` keys are single-run bests)
+export const ACHIEVEMENTS = [
+    { id: 'first-run', label: 'First Steps', desc: 'Finish a run', stat: 'runs', target: 1 },
+    { id: 'marathon', label: 'Marathon', desc: 'Run 5,000m in one run', stat: 'bestDistance', target: 5000 },
+    { id: 'hoarder', label: 'Hoarder', desc: 'Collect 1,000 coins', stat: 'coins', target: 1000 },
+    { id: 'acrobat', label: 'Acrobat', desc: 'Jump 500 times', stat: 'jumps', target: 500 },
+    { id: 'navigator', label: 'Navigator', desc: 'Take 100 turns', stat: 'turns', target: 100 },
+    { id: 'second-wind', label: 'Second Wind', desc: 'Revive during a run', stat: 'revives', target: 1 },
+    { id: 'combo-king', label: 'Combo King', desc: 'Reach a x5 combo', stat: 'bestCombo', target: 5 },
+    { id: 'taskmaster', label: 'Taskmaster', desc: 'Complete 10 missions', stat: 'missions', target: 10 },
+]
+
+function load() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch (e) {
+        return {}
+    }
+}
+
+function save(all) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)) } catch (e) { }
+}
+
+function playerKey(name) {
+    return (name || '').trim().toLowerCase() || 'player'
+}
+
+function missionDef(id) {
+    return MISSION_POOL.find(m => m.id === id)
+}
+
+function missionTarget(def, times) {
+    const target = def.base + def.step * times
+    return def.max ? Math.min(def.max, target) : target
+}
+
+function formatTarget(n) {
+    return Number.isInteger(n) ? n.toLocaleString() : n.toFixed(1)
+}
+
+// Saved state for one player: active missions, times each was completed, lifetime totals, unlocked achievements
+function loadPlayer(name) {
+    const p = load()[playerKey(name)] || {}
+    return {
+        active: p.active || [], completed: p.completed || {}, cursor: p.cursor || 0,
+        lifetime: p.lifetime || {}, achievements: p.achievements || {}
+    }
+}
+
+function savePlayer(name, state) {
+    const all = load()
+    all[playerKey(name)] = state
+    save(all)
+}
+
+// Achievements list for display, unlocked or not
+export function getAchievements(name) {
+    const { achievements } = loadPlayer(name)
+    return ACHIEVEMENTS.map(a => ({ id: a.id, label: a.label, desc: a.desc, unlocked: !!achievements[a.id] }))
+}
+
+export default class MissionTracker {
+    constructor(sim, options = {}) {
+        this.sim = sim
+        this.name = options.name
+        this.onChange = options.onChange || null     // (missions) — progress moved
+        this.onComplete = options.onComplete || null // ({ kind: 'mission' | 'achievement', label })
+        this.state = loadPlayer(this.name)
+        this.run = { distance: 0, coins: 0, jumps: 0, slides: 0, turns: 0, shields: 0, powerUps: 0, smashes: 0, revives: 0, steady: 0, combo: 1 }
+        this.laneSince = 0 // distance at the last lane change
+        this.finished = false
+        while (this.state.active.length < ACTIVE_COUNT) this._assignNext()
+        this._lastSent = ''
+
+        const count = (event, stat) => sim.on(event, () => this._bump(stat))
+        this.unsubs = [
+            count('jump', 'jumps'), count('slide', 'slides'), count('turn', 'turns'),
+            count('shieldBreak', 'shields'), count('powerUp', 'powerUps'), count('smash', 'smashes'), count('revive', 'revives'),
+            sim.on('coin', ({ combo }) => { this.run.combo = combo; this._bump('coins') }),
+            sim.on('laneChange', () => { this.laneSince = sim.dist; this.run.steady = 0 }),
+        ]
+    }
+
+    // Next mission from the pool, skipping ones already active; peak missions start from nothing,
+    // tallies count from the moment they're handed out
+    _assignNext() {
+        const ids = this.state.active.map(m => m.id)
+        for (let i = 0; i < MISSION_POOL.length; i++) {
+            const def = MISSION_POOL[(this.state.cursor + i) % MISSION_POOL.length]
+            if (ids.includes(def.id)) continue
+            this.state.cursor = (this.state.cursor + i + 1) % MISSION_POOL.length
+            this.state.active.push({ id: def.id, carried: 0, startAt: this.run[def.stat] || 0 })
+            return
+        }
+    }
+
+    _bump(stat) {
+        this.run[stat]++
+        this._check()
+    }
+
+    _progress(m) {
+        const def = missionDef(m.id)
+        if (PEAK_STATS.includes(def.stat)) return this.run[def.stat]
+        return m.carried + this.run[def.stat] - m.startAt
+    }
+
+    // Missions as shown on the phone
+    missions() {
+        return this.state.active.map(m => {
+            const def = missionDef(m.id), target = missionTarget(def, this.state.completed[m.id] || 0)
+            const p = this._progress(m)
+            const shown = DISTANCE_STATS.includes(def.stat) ? Math.floor(p / 10) * 10 : Math.floor(p * 10) / 10
+            return { id: m.id, label: def.label.replace('{n}', formatTarget(target)), progress: Math.min(target, shown), target }
+        })
+    }
+
+    // Called alongside score updates — distance-based stats move every step, not on events
+    update() {
+        if (this.finished) return
+        this.run.distance = Math.floor(this.sim.dist)
+        this.run.steady = Math.floor(this.sim.dist - this.laneSince)
+        if (this.sim.comboT <= 0) this.run.combo = 1
+        this._check()
+    }
+
+    _check() {
+        let changed = false
+        for (const m of [...this.state.active]) {
+            const def = missionDef(m.id)
+            if (this._progress(m) < missionTarget(def, this.state.completed[m.id] || 0)) continue
+            this.state.active = this.state.active.filter(a => a !== m)
+            this.state.completed[m.id] = (this.state.completed[m.id] || 0) + 1
+            this.state.lifetime.missions = (this.state.lifetime.missions || 0) + 1
+            if (this.onComplete) this.onComplete({ kind: 'mission', label: def.label.replace('{n}', formatTarget(missionTarget(def, this.state.completed[m.id] - 1))) })
+            this._assignNext()
+            changed = true
+        }
+        if (this._checkAchievements(this._lifetimeWithRun())) changed = true
+        if (changed) savePlayer(this.name, this._persisted())
+        const sent = JSON.stringify(this.missions())
+        if (sent !== this._lastSent) {
+            this._lastSent = sent
+            if (this.onChange) this.onChange(this.missions())
+        }
+    }
+
+    // Lifetime totals as they'd stand if the run ended now
+    _lifetimeWithRun() {
+        const life = { ...this.state.lifetime }
+        for (const stat of ['coins', 'jumps', 'slides', 'turns', 'shields', 'powerUps', 'smashes', 'revives']) life[stat] = (life[stat] || 0) + this.run[stat]
+        life.bestDistance = Math.max(life.bestDistance || 0, this.run.distance)
+        life.bestCombo = Math.max(life.bestCombo || 1, this.sim.bestCombo)
+        return life
+    }
+
+    // True if anything new was unlocked
+    _checkAchievements(life) {
+        let unlocked = false
+        for (const a of ACHIEVEMENTS) {
+            if (this.state.achievements[a.id] || (life[a.stat] || 0) < a.target) continue
+            this.state.achievements[a.id] = Date.now()
+            unlocked = true
+            if (this.onComplete) this.onComplete({ kind: 'achievement', label: a.label })
+        }
+        return unlocked
+    }
+
+    // Saved form: mid-run, missions keep only what they carried in; once the run is over, 'total'
+    // missions carry their progress on and 'run' missions start again from nothing
+    _persisted(runOver = false) {
+        const active = this.state.active.map(m => {
+            const def = missionDef(m.id)
+            const carries = runOver && def.scope === 'total' && !PEAK_STATS.includes(def.stat)
+            return { id: m.id, carried: carries ? this._progress(m) : m.carried, startAt: 0 }
+        })
+        return { ...this.state, active }
+    }
+
+    // Run over — fold it into lifetime totals. Run-scope missions start again next run
+    finish() {
+        if (this.finished) return
+        this.update()
+        this.finished = true
+        const life = this._lifetimeWithRun()
+        life.runs = (life.runs || 0) + 1
+        this._checkAchievements(life)
+        this.state.lifetime = life
+        savePlayer(this.name, this._persisted(true))
+        this.destroy()
+    }
+
+    destroy() {
+        for (const off of this.unsubs) off()
+        this.unsubs = []
+    }
+}
@@ -2,22 +2,181 @@ import { useState, useEffect, useRef, useCallback } from 'react'
 import QRCode from 'react-qr-code'
 import { motion, AnimatePresence } from 'framer-motion'
 import { createSocket } from '../socket'
-import RelicRushGame from '../game/RelicRushGame'
+import { createGame, workerRenderingRequested } from '../game/WorkerGame'
+import RaceGame, { MAX_RACERS, MIN_RACERS } from '../game/RaceGame'
+import ScoreBreakdown from '../components/ScoreBreakdown'
+import { SIM_VERSION } from '../game/Simulation'
+import { POWER_UPS } from '../game/powerups'
+import { GUARDIAN_ACTIONS } from '../game/guardian'
+import { readLook } from '../game/cosmetics'
+import { CHARACTERS, readCharacter } from '../game/characters'
+import { loadModel, onAssetProgress, preloadAssets } from '../game/assets'
+import { QUALITY_PRESETS, readQuality } from '../game/quality'
+import { dailySeed, dateKey, formatSeed } from '../game/random'
+import { getBestRun, getBestScore, getLastRun, recordScore, saveRun } from '../records'
+import MissionTracker, { getAchievements } from '../missions'
 import { playClick, playCoinSound, playGameOver, playPowerUp, stopBgMusic, toggleMute, isGlobalMuted, resumeAudioIfReady } from '../sounds'
 
+// Run settings chosen on the phone: a free run (optionally on a shared seed) or today's daily challenge,
+// optionally racing the ghost of the best saved run, as the character and in the cosmetics the player picked,
+// at the graphics quality picked
+function readRunConfig(data = {}) {
+    const mode = data.mode === 'daily' ? 'daily' : 'free'
+    return { mode, seed: mode === 'free' && Number.isInteger(data.seed) ? data.seed : null, ghost: !!data.ghost, look: readLook(data.look), character: readCharacter(data.character), quality: readQuality(data.quality) }
+}
+
+// Seconds a phone that dropped mid-run has to come back before the run is ended for it
+const CONTROLLER_TIMEOUT = 45
+
+// Everything a run needs before it starts: the preloaded assets and the model of the runner picked
+function assetsFor(config) {
+    return Promise.all([preloadAssets(), loadModel(CHARACTERS[config.character].url).catch(() => null)])
+}
+
+const PLACE_LABELS = ['1st', '2nd', '3rd', '4th']
+
 export default function DesktopPage() {
-    const [stage, setStage] = useState('loading') // loading, qr, game, gameover
+    const [stage, setStage] = useState('loading') // loading, qr, lobby, game, gameover, race, raceover
     const [sessionId, setSessionId] = useState(null)
     const [qrUrl, setQrUrl] = useState('')
+    const [spectateUrl, setSpectateUrl] = useState('')
+    const [pin, setPin] = useState('') // pairs phones with this session; the QR code carries it too
     const [playerName, setPlayerName] = useState('')
     const [score, setScore] = useState(0)
     const [coins, setCoins] = useState(0)
     const [isSoundMuted, setIsSoundMuted] = useState(isGlobalMuted)
     const [gameKey, setGameKey] = useState(0)
+    const [runInfo, setRunInfo] = useState(null) // { mode, day, seed, best, isNewBest, replay, ghost }
+    const [runStats, setRunStats] = useState(null) // { distance, combo, comboLeft } while running
+    const [breakdown, setBreakdown] = useState(null) // where the final score came from
+    const [powerUps, setPowerUps] = useState([]) // types of the power-ups running right now
+    const [reviveOffer, setReviveOffer] = useState(null) // { cost, seconds } while a revive is on offer
+    const [toasts, setToasts] = useState([]) // missions and achievements just completed
+    const [pauseInfo, setPauseInfo] = useState(null) // { reason, countdown } while the run is paused
+    const [graphicsLost, setGraphicsLost] = useState(false) // the WebGL context is gone until the browser restores it
+    const [controllerWait, setControllerWait] = useState(null) // seconds left for a dropped phone to rejoin
+    const [assetProgress, setAssetProgress] = useState(0) // 0–1 while models and sounds preload
+    const [memory, setMemory] = useState(null) // dev builds: renderer memory of the game running, to spot leaks across restarts
+    const [lobby, setLobby] = useState([]) // racers waiting for the host phone to start: [{ id, name }]
+    const [racers, setRacers] = useState([]) // one per viewport while racing: { id, name, score, coins, distance, out }
+    const [placings, setPlacings] = useState(null) // the final order once every runner is out
+    const [guardian, setGuardian] = useState(null) // name of the phone playing the Temple Guardian, if one joined
+    const [spectators, setSpectators] = useState(0) // screens watching through /spectate
     const socketRef = useRef(null)
     const gameRef = useRef(null)
     const canvasRef = useRef(null)
     const lastCoinCount = useRef(0)
+    const runConfigRef = useRef(readRunConfig())
+    const replayRef = useRef(null) // saved run to play back on the next game mount
+    const playerNameRef = useRef('')
+    const playerIdRef = useRef(null) // the phone steering the solo run
+    const toastIdRef = useRef(0)
+    const qualityLevelRef = useRef(null) // where Auto quality settled, so the next run starts there
+    const runCountRef = useRef(0) // games built since the page loaded
+    const stageRef = useRef(stage)
+    const controllerTimerRef = useRef(null)
+    const droppedRef = useRef(new Set()) // player ids of the phones a run is waiting for
+    const lastEndRef = useRef(null) // the last end_game sent, for a phone that missed it while away
+    const lobbyRef = useRef([]) // { id, name, look, character } of each racer, host first
+    const raceConfigRef = useRef(null) // the host phone's run settings, which every racer runs on
+    const raceGridRef = useRef(null) // holds the race's shared canvas
+    const raceCellsRef = useRef([]) // the race's viewports, one per racer
+    const guardianRef = useRef(null)
+    const guardianSentRef = useRef(0) // when the guardian's phone last heard its energy
+    const spectatorsRef = useRef(0)
+    const spectateRef = useRef(null) // what spectators see, streamed while any are watching
+
+    useEffect(() => {
+        stageRef.current = stage
+    }, [stage])
+
+    const stopControllerWait = useCallback(() => {
+        clearInterval(controllerTimerRef.current)
+        controllerTimerRef.current = null
+        droppedRef.current.clear()
+        setControllerWait(null)
+    }, [])
+
+    // The phone dropped mid-run: pause, show the QR again and give it a while to come back before ending the run
+    const waitForController = useCallback((playerId) => {
+        const game = gameRef.current
+        if (!game || (stageRef.current !== 'game' && stageRef.current !== 'race') || game.isReplay()) return
+        droppedRef.current.add(playerId)
+        if (controllerTimerRef.current) return
+        game.pause('controller')
+        let left = CONTROLLER_TIMEOUT
+        setControllerWait(left)
+        controllerTimerRef.current = setInterval(() => {
+            setControllerWait(--left)
+            if (left > 0) return
+            stopControllerWait()
+            if (gameRef.current) gameRef.current.endGame()
+        }, 1000)
+    }, [stopControllerWait])
+
+    // Back in time — carry on through the usual countdown
+    const controllerBack = useCallback(() => {
+        stopControllerWait()
+        if (gameRef.current) gameRef.current.resume()
+        resumeAudioIfReady()
+    }, [stopControllerWait])
+
+    // Play back the most recent saved run — same seed, same inputs, same ending
+    const watchReplay = useCallback(() => {
+        const run = getLastRun(SIM_VERSION)
+        if (!run) return
+        if (gameRef.current) {
+            gameRef.current.destroy()
+            gameRef.current = null
+        }
+        stopBgMusic()
+        replayRef.current = run
+        setScore(0)
+        setCoins(0)
+        setGameKey(k => k + 1)
+        setStage('game')
+    }, [])
+
+    // Completed missions and achievements pop up for a few seconds
+    const showToast = useCallback((item) => {
+        const id = ++toastIdRef.current
+        setToasts(list => [...list, { id, ...item }])
+        setTimeout(() => setToasts(list => list.filter(t => t.id !== id)), 3500)
+    }, [])
+
+    // Dev builds read the running game's memory once a second — the numbers should stay flat run after run
+    useEffect(() => {
+        if (!import.meta.env.DEV) return
+        const id = setInterval(() => {
+            if (gameRef.current) setMemory({ run: runCountRef.current, ...gameRef.current.memoryStats() })
+        }, 1000)
+        return () => clearInterval(id)
+    }, [])
+
+    // What spectators see, kept current with the page
+    useEffect(() => {
+        const racing = stage === 'race' || stage === 'raceover'
+        spectateRef.current = {
+            stage, name: playerName, score, coins, stats: runStats, powerUps, paused: !!pauseInfo,
+            replay: !!(runInfo && runInfo.replay), mode: runInfo ? runInfo.mode : null, seed: runInfo ? runInfo.seed : null,
+            lobby: stage === 'lobby' ? lobby : null, racers: racing ? racers : null, placings: stage === 'raceover' ? placings : null
+        }
+    }, [stage, playerName, score, coins, runStats, powerUps, pauseInfo, runInfo, lobby, racers, placings])
+
+    // Stream it ten times a second while anyone is watching
+    useEffect(() => {
+        if (!sessionId) return
+        const id = setInterval(() => {
+            if (spectatorsRef.current > 0 && socketRef.current) socketRef.current.emit('spectate_state', { sessionId, state: spectateRef.current })
+        }, 100)
+        return () => clearInterval(id)
+    }, [sessionId])
+
+    // Preload models and sounds while the QR code is up
+    useEffect(() => {
+        preloadAssets()
+        return onAssetProgress(setAssetProgress)
+    }, [])
 
     // Create session and show QR code
     useEffect(() => {
@@ -25,62 +184,220 @@ export default function DesktopPage() {
             try {
                 const res = await fetch('http://localhost:5002/api/session', { method: 'POST' })
                 const data = await res.json()
-                const { sessionId: sid, ip, port } = data
+                const { sessionId: sid, ip, port, pin: sessionPin, hostKey } = data
                 setSessionId(sid)
-                setQrUrl(`http://${ip}:${port}/controller?session=${sid}`)
+                setPin(sessionPin)
+                const controllerUrl = (p) => `http://${ip}:${port}/controller?session=${sid}&pin=${p}`
+                setQrUrl(controllerUrl(sessionPin))
+                setSpectateUrl(`http://${ip}:${port}/spectate?session=${sid}`)
 
                 // Connect socket
                 const socket = createSocket()
                 socketRef.current = socket
 
+                // The host key proves this is the desktop that created the session
                 socket.on('connect', () => {
-                    socket.emit('join_session', { sessionId: sid, role: 'desktop' })
+                    socket.emit('join_session', { sessionId: sid, role: 'desktop', hostKey })
+                })
+                socket.on('join_error', (data) => {
+                    console.error('Session refused this desktop:', data.reason)
+                })
+                // Too many wrong guesses changed the PIN; the QR code carries the new one
+                socket.on('session_pin', (data) => {
+                    setPin(data.pin)
+                    setQrUrl(controllerUrl(data.pin))
                 })
 
+                // The lobby as the phones see it; the first racer in is the host who starts the race
+                const sendLobby = () => {
+                    const players = lobbyRef.current.map(({ id, name }) => ({ id, name }))
+                    setLobby(players)
+                    socket.emit('race_lobby', { sessionId: sid, players, hostId: players.length ? players[0].id : null })
+                }
+
+                // A racing phone opens a lobby, or joins the one that's open. Runs in progress aren't interrupted
+                const joinRace = (data) => {
+                    const current = stageRef.current
+                    if (current !== 'lobby' && current !== 'qr' && current !== 'gameover' && current !== 'raceover') return
+                    if (current !== 'lobby') {
+                        lobbyRef.current = []
+                        raceConfigRef.current = readRunConfig(data)
+                        setStage('lobby')
+                    }
+                    const { look, character } = readRunConfig(data)
+                    const racer = { id: data.playerId, name: data.name, look, character }
+                    const at = lobbyRef.current.findIndex(r => r.id === racer.id)
+                    if (at >= 0) lobbyRef.current[at] = racer
+                    else if (lobbyRef.current.length < MAX_RACERS) lobbyRef.current.push(racer)
+                    sendLobby()
+                }
+
+                const leaveRace = (id) => {
+                    lobbyRef.current = lobbyRef.current.filter(r => r.id !== id)
+                    sendLobby()
+                    if (!lobbyRef.current.length) setStage('qr')
+                }
+
                 // When a player joins from mobile
                 socket.on('player_joined', (data) => {
+                    // The run carries on once every phone it waits for has scanned back in; nobody else can pick it up
+                    if (controllerTimerRef.current) {
+                        droppedRef.current.delete(data.playerId)
+                        if (!droppedRef.current.size) controllerBack()
+                        return
+                    }
+                    if (data.race && (!data.rejoin || stageRef.current === 'lobby')) { joinRace(data); return }
+                    // A phone reconnecting by itself only ever rejoins — if its run ended meanwhile, it alone hears how
+                    if (data.rejoin) {
+                        if ((stageRef.current === 'gameover' || stageRef.current === 'raceover') && lastEndRef.current) {
+                            socket.emit('resend_end', { ...lastEndRef.current, playerId: data.playerId })
+                        }
+                        return
+                    }
+                    // A solo run takes the screen, so it isn't started over a race or over someone else's run
+                    const live = stageRef.current === 'game' && gameRef.current && !gameRef.current.isReplay()
+                    if (stageRef.current === 'lobby' || stageRef.current === 'race' || stageRef.current === 'loading' || live) return
                     setPlayerName(data.name)
-                    setStage('game')
-                    // Automatically awake audio as game starts
-                    resumeAudioIfReady()
+                    playerNameRef.current = data.name
+                    playerIdRef.current = data.playerId
+                    runConfigRef.current = readRunConfig(data)
+                    // The server turns away other phones until this run ends
+                    socket.emit('run_started', { sessionId: sid, playerId: data.playerId })
+                    // A player quicker than the preload waits on the loading screen
+                    setStage('loading')
+                    assetsFor(runConfigRef.current).then(() => {
+                        setStage('game')
+                        // Automatically awake audio as game starts
+                        resumeAudioIfReady()
+                    })
                 })
 
-                // Receive control events from mobile
+                // Receive control events from mobile — in a race, each phone steers its own runner, and a solo
+                // run only listens to the phone that started it
                 socket.on('control', (data) => {
-                    if (gameRef.current) {
+                    let game = gameRef.current
+                    if (game && stageRef.current === 'race') game = game.forPlayer(data.playerId)
+                    else if (data.playerId !== playerIdRef.current) game = null
+                    if (game) {
                         const { direction } = data
                         switch (direction) {
-                            case 'left': gameRef.current.moveLeft(); break
-                            case 'right': gameRef.current.moveRight(); break
-                            case 'up': gameRef.current.jump(); break
-                            case 'down': gameRef.current.slide(); break
+                            case 'left': game.moveLeft(); break
+                            case 'right': game.moveRight(); break
+                            case 'up': game.jump(); break
+                            case 'down': game.slide(); break
                         }
                     }
                 })
 
+                // The phone dropped (closed, locked, out of range)
+                socket.on('controller_disconnected', (data) => {
+                    if (stageRef.current === 'lobby') { leaveRace(data.playerId); return }
+                    // A racer who's already out has nothing left to wait for, and a solo run only waits for its own phone
+                    if (stageRef.current === 'race' && gameRef.current && !gameRef.current.isRacing(data.playerId)) return
+                    if (stageRef.current !== 'race' && data.playerId !== playerIdRef.current) return
+                    waitForController(data.playerId)
+                })
+
+                // Screens watching through /spectate
+                socket.on('spectators', (data) => {
+                    spectatorsRef.current = data.count
+                    setSpectators(data.count)
+                })
+
+                // A second phone playing against the runner as the Temple Guardian
+                socket.on('guardian_joined', (data) => {
+                    guardianRef.current = data.name
+                    setGuardian(data.name)
+                    showToast({ kind: 'guardian', label: `${data.name} guards the temple` })
+                    const game = gameRef.current
+                    socket.emit('guardian_state', { sessionId: sid, active: stageRef.current === 'game' && !!game && !game.isReplay(), energy: game ? game.sim.guardian.energy : 0 })
+                })
+                socket.on('guardian_left', () => {
+                    guardianRef.current = null
+                    setGuardian(null)
+                })
+                // Only a live solo run takes the guardian's tricks; the game checks each one
+                socket.on('guardian_action', (data) => {
+                    if (stageRef.current === 'game' && gameRef.current) gameRef.current.guardianAct(data.action, data.lane)
+                })
+
+                socket.on('race_leave', (data) => {
+                    if (stageRef.current === 'lobby') leaveRace(data.playerId)
+                })
+
+                // The host phone starts the race once enough racers are in
+                socket.on('race_start', (data) => {
+                    const field = lobbyRef.current
+                    if (stageRef.current !== 'lobby' || field.length < MIN_RACERS || data.playerId !== field[0].id) return
+                    setRacers(field.map(({ id, name }) => ({ id, name, score: 0, coins: 0, distance: 0, out: false })))
+                    setPlacings(null)
+                    setStage('loading')
+                    Promise.all(field.map(assetsFor)).then(() => {
+                        setStage('race')
+                        resumeAudioIfReady()
+                    })
+                })
+
+                // Phone PAUSE / RESUME
+                socket.on('pause_game', () => {
+                    if (gameRef.current) gameRef.current.pause('remote')
+                })
+                // A run waiting for a dropped phone only resumes once that phone is back
+                socket.on('resume_game', () => {
+                    if (controllerTimerRef.current) return
+                    if (gameRef.current) gameRef.current.resume()
+                    resumeAudioIfReady()
+                })
+
+                // Phone answers the revive prompt
+                socket.on('revive', () => {
+                    if (gameRef.current) gameRef.current.acceptRevive()
+                })
+                socket.on('revive_decline', () => {
+                    if (gameRef.current) gameRef.current.declineRevive()
+                })
+
                 // Phone explicitly hits START Game
                 socket.on('game_started', () => {
                     resumeAudioIfReady()
                 })
 
-                // Phone ended the game
+                // Phone ended the game — in a race, only its own runner
                 socket.on('game_ended', (data) => {
+                    if (data.playerId && stageRef.current === 'race') {
+                        const runner = gameRef.current ? gameRef.current.forPlayer(data.playerId) : null
+                        if (runner) runner.endGame()
+                        return
+                    }
                     if (gameRef.current) {
                         gameRef.current.endGame()
                     }
                 })
 
+                // Phone wants to watch the last run again
+                socket.on('watch_replay', () => {
+                    if (stageRef.current === 'lobby' || stageRef.current === 'race') return
+                    watchReplay()
+                    resumeAudioIfReady()
+                })
+
                 // Phone wants to play again
-                socket.on('restart_game', () => {
+                socket.on('restart_game', (data) => {
+                    if (stageRef.current === 'lobby' || stageRef.current === 'race') return
+                    runConfigRef.current = readRunConfig(data)
+                    socket.emit('run_started', { sessionId: sid, playerId: playerIdRef.current })
                     if (gameRef.current) {
                         gameRef.current.destroy()
                         gameRef.current = null
                     }
                     setScore(0)
                     setCoins(0)
-                    setStage('game') // Go directly to game, not QR
-                    // Awake audio for second run
-                    resumeAudioIfReady()
+                    // Go directly to game, not QR — as soon as a newly picked runner has loaded
+                    assetsFor(runConfigRef.current).then(() => {
+                        setStage('game')
+                        // Awake audio for second run
+                        resumeAudioIfReady()
+                    })
                 })
 
                 setStage('qr')
@@ -129,6 +446,7 @@ export default function DesktopPage() {
 
         return () => {
             if (socketRef.current) socketRef.current.disconnect()
+            clearInterval(controllerTimerRef.current)
             if (gameRef.current) gameRef.current.destroy()
             stopBgMusic()
             window.removeEventListener('click', silentUnlock)
@@ -139,6 +457,7 @@ export default function DesktopPage() {
 
     // Start the game when stage changes to 'game' — gameKey forces fresh mount
     useEffect(() => {
+        let tracker = null
         if (stage === 'game' && canvasRef.current) {
             // Destroy any lingering game first
             if (gameRef.current) {
@@ -146,11 +465,38 @@ export default function DesktopPage() {
                 gameRef.current = null
             }
             lastCoinCount.current = 0
+            setPauseInfo(null)
+            setGraphicsLost(false)
+            stopControllerWait()
+            lastEndRef.current = null
+            setReviveOffer(null)
+            setRunStats(null)
+            setBreakdown(null)
+
+            const replay = replayRef.current
+            replayRef.current = null
+            const { seed, ghost, look, character, quality } = runConfigRef.current
+            const qualityLevel = qualityLevelRef.current
+            const mode = replay ? replay.mode : runConfigRef.current.mode
+            const day = replay ? replay.day : dateKey()
+            // Racing a ghost means running its course, so its seed wins over a typed one
+            const ghostRun = !replay && ghost ? getBestRun(mode, day, SIM_VERSION) : null
+            const options = replay
+                ? { mode, replay, look, character, quality, qualityLevel }
+                : { mode, seed: ghostRun ? ghostRun.seed : mode === 'daily' ? dailySeed() : seed, ghost: ghostRun, look, character, quality, qualityLevel }
+
+            const emitMissions = (payload) => {
+                if (socketRef.current && sessionId) socketRef.current.emit('missions_update', { sessionId, ...payload })
+            }
 
-            const game = new RelicRushGame(canvasRef.current, {
-                onScoreUpdate: (s, c) => {
+            runCountRef.current++
+            // ?render=worker draws from a Web Worker where the browser can; otherwise it's the main thread
+            const game = createGame(canvasRef.current, {
+                onScoreUpdate: (s, c, stats) => {
                     setScore(s)
                     setCoins(c)
+                    setRunStats(stats)
+                    if (tracker) tracker.update()
                     // Play coin sound when coins increase
                     if (c > lastCoinCount.current) {
                         playCoinSound()
@@ -158,34 +504,140 @@ export default function DesktopPage() {
                     }
                     // Send score to phone
                     if (socketRef.current && sessionId) {
-                        socketRef.current.emit('score_update', { sessionId, score: s, coins: c })
+                        socketRef.current.emit('score_update', { sessionId, score: s, coins: c, distance: stats.distance, combo: stats.combo })
+                    }
+                    // The guardian's energy bar, a few times a second
+                    if (guardianRef.current && !replay && socketRef.current && Date.now() - guardianSentRef.current > 250) {
+                        guardianSentRef.current = Date.now()
+                        socketRef.current.emit('guardian_state', { sessionId, active: true, energy: stats.guardianEnergy })
                     }
                 },
-                onGameOver: (s, c) => {
+                onGameOver: (s, c, scoreBreakdown) => {
                     setScore(s)
                     setCoins(c)
+                    setBreakdown(scoreBreakdown)
+                    stopControllerWait()
                     setStage('gameover')
+                    if (guardianRef.current && socketRef.current) socketRef.current.emit('guardian_state', { sessionId, active: false, energy: 0 })
+                    // Replays are only watched — they never count as a new run
+                    if (replay) return
+                    tracker.finish()
+                    emitMissions({ missions: tracker.missions(), achievements: getAchievements(playerNameRef.current) })
+                    const { best, isNewBest } = recordScore(mode, day, s)
+                    saveRun({ ...game.getRunRecord(), name: playerNameRef.current, day, date: Date.now() })
+                    setRunInfo(info => ({ ...info, best, isNewBest }))
                     // Sound is handled by game engine after 4s lie-down
                     // Notify phone
+                    lastEndRef.current = { sessionId, score: s, coins: c, seed: game.seed, mode, best, breakdown: scoreBreakdown }
                     if (socketRef.current && sessionId) {
-                        socketRef.current.emit('end_game', { sessionId, score: s, coins: c })
+                        socketRef.current.emit('end_game', lastEndRef.current)
                     }
                 },
                 onPowerUp: () => {
                     playPowerUp()
+                },
+                onGuardianAct: (action, ok) => {
+                    if (ok) showToast({ kind: 'guardian', label: GUARDIAN_ACTIONS[action].label })
+                    if (socketRef.current && sessionId) {
+                        socketRef.current.emit('guardian_state', { sessionId, active: true, energy: game.sim.guardian.energy, result: { action, ok } })
+                    }
+                },
+                onPowerUpsChange: (types) => {
+                    setPowerUps(types)
+                },
+                onReviveOffer: (offer) => {
+                    setReviveOffer(offer)
+                    if (socketRef.current && sessionId) {
+                        socketRef.current.emit('revive_offer', { sessionId, offer })
+                    }
+                },
+                onQualityChange: (level, qualityMode) => {
+                    if (qualityMode !== 'auto') return
+                    if (qualityLevelRef.current && level !== qualityLevelRef.current) showToast({ kind: 'quality', label: QUALITY_PRESETS[level].label })
+                    qualityLevelRef.current = level
+                },
+                onPauseChange: (state) => {
+                    setPauseInfo(state.paused ? { reason: state.reason, countdown: state.countdown } : null)
+                    // Keep the phone's PAUSE / RESUME button in step, including automatic pauses
+                    if (socketRef.current && sessionId) {
+                        socketRef.current.emit('pause_state', { sessionId, ...state })
+                    }
+                },
+                onGraphicsChange: ({ lost }) => {
+                    setGraphicsLost(lost)
+                    if (socketRef.current && sessionId) socketRef.current.emit('graphics_state', { sessionId, lost })
                 }
-            })
+            }, { ...options, worker: workerRenderingRequested() })
             gameRef.current = game
+            // Missions follow live runs only
+            if (!replay) {
+                tracker = new MissionTracker(game.sim, {
+                    name: playerNameRef.current,
+                    onChange: missions => emitMissions({ missions }),
+                    onComplete: showToast
+                })
+            }
+            setRunInfo({ mode, day, seed: game.seed, best: getBestScore(mode, day), isNewBest: false, replay: !!replay, ghost: !!ghostRun })
             game.start()
+            if (tracker) emitMissions({ missions: tracker.missions() })
         }
 
         return () => {
+            if (tracker) tracker.destroy()
             if (gameRef.current) {
                 gameRef.current.destroy()
                 gameRef.current = null
             }
         }
-    }, [stage, sessionId, gameKey])
+    }, [stage, sessionId, gameKey, showToast, stopControllerWait])
+
+    // Start a race when stage changes to 'race' — one viewport and one game per racer, all on the host's course
+    useEffect(() => {
+        if (stage !== 'race') return
+        const emit = (event, payload) => {
+            if (socketRef.current && sessionId) socketRef.current.emit(event, { sessionId, ...payload })
+        }
+        setPauseInfo(null)
+        setGraphicsLost(false)
+        stopControllerWait()
+        lastEndRef.current = null
+
+        const { mode, seed, quality } = raceConfigRef.current
+        runCountRef.current++
+        const race = new RaceGame(raceGridRef.current, raceCellsRef.current, lobbyRef.current, {
+            onRacerUpdate: (id, stats) => {
+                setRacers(list => list.map(r => r.id === id ? { ...r, ...stats } : r))
+                emit('score_update', { playerId: id, score: stats.score, coins: stats.coins, distance: stats.distance, combo: 1 })
+            },
+            onRacerOut: (id, result) => {
+                setRacers(list => list.map(r => r.id === id ? { ...r, ...result, out: true } : r))
+            },
+            onRaceOver: (results) => {
+                stopControllerWait()
+                setPlacings(results)
+                setStage('raceover')
+                // Each phone finds its own place, score and coins in the results
+                lastEndRef.current = { sessionId, seed: race.seed, mode, results }
+                emit('end_game', lastEndRef.current)
+            },
+            onPauseChange: (state) => {
+                setPauseInfo(state.paused ? { reason: state.reason, countdown: state.countdown } : null)
+                emit('pause_state', state)
+            },
+            onGraphicsChange: ({ lost }) => {
+                setGraphicsLost(lost)
+                emit('graphics_state', { lost })
+            }
+        }, { mode, seed: mode === 'daily' ? dailySeed() : seed, quality, qualityLevel: qualityLevelRef.current })
+        gameRef.current = race
+        race.start()
+        emit('race_started', {})
+
+        return () => {
+            race.destroy()
+            if (gameRef.current === race) gameRef.current = null
+        }
+    }, [stage, sessionId, stopControllerWait])
 
     // Keyboard controls for desktop testing
     useEffect(() => {
@@ -196,6 +648,7 @@ export default function DesktopPage() {
                 case 'ArrowRight': case 'd': gameRef.current.moveRight(); break
                 case 'ArrowUp': case 'w': case ' ': gameRef.current.jump(); e.preventDefault(); break
                 case 'ArrowDown': case 's': gameRef.current.slide(); break
+                case 'p': case 'Escape': if (!controllerTimerRef.current) gameRef.current.togglePause(); break
             }
         }
         window.addEventListener('keydown', handleKey)
@@ -254,7 +707,7 @@ export default function DesktopPage() {
 
                 {/* QR Code Screen */}
                 <AnimatePresence mode="wait">
-                    {(stage === 'loading' || stage === 'qr') && (
+                    {(stage === 'loading' || stage === 'qr' || stage === 'lobby') && (
                         <motion.div
                             key="qr-screen"
                             className="desktop-container"
@@ -281,10 +734,11 @@ export default function DesktopPage() {
 
                             {stage === 'loading' ? (
                                 <div className="glass-card qr-section">
-                                    <p className="waiting-text">Creating game session...</p>
-                                    <div className="loading-dots">
-                                        <span /><span /><span />
+                                    <p className="waiting-text">{sessionId ? 'Loading the temple...' : 'Creating game session...'}</p>
+                                    <div className="asset-progress">
+                                        <div className="asset-progress-fill" style={{ width: `${Math.round(assetProgress * 100)}%` }} />
                                     </div>
+                                    <p className="asset-progress-label">{Math.round(assetProgress * 100)}%</p>
                                 </div>
                             ) : (
                                 <motion.div
@@ -296,21 +750,55 @@ export default function DesktopPage() {
                                     <p className="scan-text">
                                         SCAN TO PLAY
                                     </p>
-                                    <div className="qr-wrapper">
-                                        <QRCode
-                                            value={qrUrl || 'loading...'}
-                                            size={200}
-                                            bgColor="#ffffff"
-                                            fgColor="#0a0a1a"
-                                            level="M"
-                                        />
+                                    <div className="qr-pairing">
+                                        <div className="qr-wrapper">
+                                            <QRCode
+                                                value={qrUrl || 'loading...'}
+                                                size={200}
+                                                bgColor="#ffffff"
+                                                fgColor="#0a0a1a"
+                                                level="M"
+                                            />
+                                        </div>
+                                        {pin && (
+                                            <div className="session-pin">
+                                                <span className="stat-label">PIN</span>
+                                                <span className="session-pin-digits">{pin}</span>
+                                            </div>
+                                        )}
                                     </div>
-                                    <p className="waiting-text">
-                                        Waiting for player to join
-                                        <span className="loading-dots" style={{ marginLeft: 6 }}>
-                                            <span /><span /><span />
-                                        </span>
-                                    </p>
+                                    {assetProgress < 1 && (
+                                        <div className="asset-progress">
+                                            <div className="asset-progress-fill" style={{ width: `${Math.round(assetProgress * 100)}%` }} />
+                                        </div>
+                                    )}
+                                    {stage === 'lobby' ? (
+                                        <>
+                                            <ul className="race-lobby">
+                                                {lobby.map((p, i) => (
+                                                    <li key={p.id}>{p.name}{i === 0 ? ' · host' : ''}</li>
+                                                ))}
+                                            </ul>
+                                            <p className="waiting-text">
+                                                {lobby.length < MIN_RACERS ? 'Waiting for another racer' : `${lobby.length}/${MAX_RACERS} racers · waiting for ${lobby[0].name} to start`}
+                                                <span className="loading-dots" style={{ marginLeft: 6 }}>
+                                                    <span /><span /><span />
+                                                </span>
+                                            </p>
+                                        </>
+                                    ) : (
+                                        <p className="waiting-text">
+                                            Waiting for player to join
+                                            <span className="loading-dots" style={{ marginLeft: 6 }}>
+                                                <span /><span /><span />
+                                            </span>
+                                        </p>
+                                    )}
+                                    {spectateUrl && (
+                                        <p className="asset-progress-label">
+                                            Watch on another screen · {spectateUrl}
+                                        </p>
+                                    )}
                                 </motion.div>
                             )}
                         </motion.div>
@@ -321,22 +809,191 @@ export default function DesktopPage() {
                 {(stage === 'game' || stage === 'gameover') && (
                     <div className="game-container">
                         <div className="game-canvas-wrapper" key={gameKey} ref={canvasRef} />
+                        {memory && (
+                            <div className="dev-memory">
+                                run {memory.run} · geometries {memory.geometries} · textures {memory.textures} · held {memory.held} · games {memory.games}
+                            </div>
+                        )}
+                        {graphicsLost && stage === 'game' && (
+                            <div className="pause-overlay">
+                                <h2 className="pause-title">GRAPHICS RESET</h2>
+                                <p className="pause-hint">
+                                    Restoring the temple · your run is paused
+                                    <span className="loading-dots" style={{ marginLeft: 6 }}>
+                                        <span /><span /><span />
+                                    </span>
+                                </p>
+                            </div>
+                        )}
+                        {controllerWait !== null && !graphicsLost && stage === 'game' && (
+                            <div className="pause-overlay">
+                                <h2 className="pause-title">CONTROLLER LOST</h2>
+                                <div className="qr-wrapper">
+                                    <QRCode value={qrUrl || 'loading...'} size={160} bgColor="#ffffff" fgColor="#0a0a1a" level="M" />
+                                </div>
+                                <p className="pause-hint">Reopen the controller or scan to rejoin{pin ? ` · PIN ${pin}` : ''} · the run ends in {controllerWait}s</p>
+                            </div>
+                        )}
+                        {pauseInfo && !graphicsLost && controllerWait === null && stage === 'game' && (
+                            <div className="pause-overlay">
+                                {pauseInfo.countdown ? (
+                                    <div className="pause-countdown" key={pauseInfo.countdown}>{pauseInfo.countdown}</div>
+                                ) : (
+                                    <>
+                                        <h2 className="pause-title">PAUSED</h2>
+                                        <p className="pause-hint">
+                                            {pauseInfo.reason === 'hidden' || pauseInfo.reason === 'blur' ? 'Paused while you were away · ' : ''}
+                                            Tap RESUME on your phone
+                                        </p>
+                                    </>
+                                )}
+                            </div>
+                        )}
+                        {reviveOffer && stage === 'game' && (
+                            <div className="revive-prompt">
+                                <div className="pause-countdown" key={reviveOffer.seconds}>{reviveOffer.seconds}</div>
+                                <h2 className="pause-title">REVIVE?</h2>
+                                <p className="pause-hint">{reviveOffer.cost} coins · answer on your phone</p>
+                            </div>
+                        )}
+                        <div className="toast-stack">
+                            <AnimatePresence>
+                                {toasts.map(t => (
+                                    <motion.div
+                                        key={t.id}
+                                        className={`toast toast-${t.kind}`}
+                                        initial={{ opacity: 0, y: -16 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        exit={{ opacity: 0 }}
+                                    >
+                                        <span className="toast-kind">{t.kind === 'achievement' ? 'Achievement Unlocked' : t.kind === 'quality' ? 'Graphics Quality' : t.kind === 'guardian' ? 'Temple Guardian' : 'Mission Complete'}</span>
+                                        <span className="toast-label">{t.label}</span>
+                                    </motion.div>
+                                ))}
+                            </AnimatePresence>
+                        </div>
                         <div className="game-hud">
                             <div className="hud-left">
-                                <div className="hud-score">{score.toLocaleString()}M</div>
-                                <div className="hud-coins">{coins} COINS</div>
+                                <div className="hud-score">{score.toLocaleString()}</div>
+                                <div className="hud-coins">{runStats ? runStats.distance.toLocaleString() : 0}M · {coins} COINS</div>
+                                {runStats && runStats.combo > 1 && (
+                                    <div className="hud-combo">
+                                        <span>COMBO x{runStats.combo.toFixed(1)}</span>
+                                        <div className="combo-timer"><div style={{ width: `${runStats.comboLeft * 100}%` }} /></div>
+                                    </div>
+                                )}
                                 {playerName && <div className="hud-player-name">{playerName.toUpperCase()}</div>}
+                                {runInfo && runInfo.replay && <div className="hud-badge">Replay</div>}
+                                {runInfo && runInfo.ghost && <div className="hud-badge hud-badge-ghost">Ghost Race</div>}
+                                {guardian && <div className="hud-badge hud-badge-guardian">Guardian · {guardian.toUpperCase()}</div>}
+                                {powerUps.length > 0 && (
+                                    <div className="hud-powerups">
+                                        {powerUps.map(type => (
+                                            <div key={type} className="hud-badge" style={{ background: `#${POWER_UPS[type].color.toString(16).padStart(6, '0')}` }}>
+                                                {POWER_UPS[type].label}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
                             <div className="hud-right">
                                 {/* Desktop controls removed to enforce mobile phone remote usage */}
                                 <div style={{ color: 'rgba(255,255,255,0.4)', fontSize: '0.8rem', textTransform: 'uppercase', letterSpacing: '2px' }}>
                                     Mobile Remote Active
                                 </div>
+                                {spectators > 0 && <div className="hud-player-name">{spectators} WATCHING</div>}
                             </div>
                         </div>
                     </div>
                 )}
 
+                {/* Race — one viewport per runner, each with its own HUD */}
+                {(stage === 'race' || stage === 'raceover') && (
+                    <div className="game-container">
+                        <div ref={raceGridRef} className={`race-grid race-grid-${racers.length > 2 ? 'quad' : 'split'}`}>
+                            {racers.map((r, i) => (
+                                <div key={r.id} className={`race-cell ${r.out ? 'out' : ''}`}>
+                                    <div className="race-view" ref={el => { raceCellsRef.current[i] = el }} />
+                                    <div className="race-hud">
+                                        <div className="hud-player-name">{r.name.toUpperCase()}</div>
+                                        <div className="hud-score">{r.score.toLocaleString()}</div>
+                                        <div className="hud-coins">{r.distance.toLocaleString()}M · {r.coins} COINS</div>
+                                        <div className="race-position">
+                                            {r.out ? 'OUT' : PLACE_LABELS[racers.filter(o => o.distance > r.distance).length]}
+                                        </div>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        {memory && (
+                            <div className="dev-memory">
+                                run {memory.run} · geometries {memory.geometries} · textures {memory.textures} · held {memory.held} · games {memory.games}
+                            </div>
+                        )}
+                        {graphicsLost && stage === 'race' && (
+                            <div className="pause-overlay">
+                                <h2 className="pause-title">GRAPHICS RESET</h2>
+                                <p className="pause-hint">Restoring the temple · the race is paused</p>
+                            </div>
+                        )}
+                        {controllerWait !== null && !graphicsLost && stage === 'race' && (
+                            <div className="pause-overlay">
+                                <h2 className="pause-title">CONTROLLER LOST</h2>
+                                <div className="qr-wrapper">
+                                    <QRCode value={qrUrl || 'loading...'} size={160} bgColor="#ffffff" fgColor="#0a0a1a" level="M" />
+                                </div>
+                                <p className="pause-hint">Reopen the controller or scan to rejoin{pin ? ` · PIN ${pin}` : ''} · the race ends in {controllerWait}s</p>
+                            </div>
+                        )}
+                        {pauseInfo && !graphicsLost && controllerWait === null && stage === 'race' && (
+                            <div className="pause-overlay">
+                                {pauseInfo.countdown ? (
+                                    <div className="pause-countdown" key={pauseInfo.countdown}>{pauseInfo.countdown}</div>
+                                ) : (
+                                    <>
+                                        <h2 className="pause-title">PAUSED</h2>
+                                        <p className="pause-hint">Tap RESUME on any phone</p>
+                                    </>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Race Over — placements */}
+                <AnimatePresence>
+                    {stage === 'raceover' && placings && (
+                        <motion.div
+                            className="overlay"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                        >
+                            <motion.div
+                                className="minimal-card gameover-card"
+                                initial={{ scale: 0.9, y: 20, opacity: 0 }}
+                                animate={{ scale: 1, y: 0, opacity: 1 }}
+                                transition={{ type: 'spring', damping: 20, delay: 0.2 }}
+                            >
+                                <h2 className="gameover-title">RACE OVER</h2>
+                                <ol className="race-results">
+                                    {placings.map(r => (
+                                        <li key={r.playerId}>
+                                            <span>{PLACE_LABELS[r.place - 1]}</span>
+                                            <span>{r.name}</span>
+                                            <span>{r.distance.toLocaleString()}M</span>
+                                            <span>{r.score.toLocaleString()}</span>
+                                        </li>
+                                    ))}
+                                </ol>
+                                <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '3px', animation: 'pulse 3s infinite' }}>
+                                    Race again from your phones
+                                </p>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+
                 {/* Game Over — Waterfall Rest Scene */}
                 <AnimatePresence>
                     {stage === 'gameover' && (
@@ -358,20 +1015,42 @@ export default function DesktopPage() {
                                 <p style={{ color: 'rgba(255,255,255,0.4)', fontSize: '0.8rem', letterSpacing: '2px', textTransform: 'uppercase', marginBottom: '24px' }}>
                                     Signal Lost
                                 </p>
+                                {runInfo && (
+                                    <p className="run-meta">
+                                        {runInfo.mode === 'daily' ? `Daily Challenge · ${runInfo.day}` : 'Free Run'} · Seed <span className="run-seed">{formatSeed(runInfo.seed)}</span>
+                                    </p>
+                                )}
                                 <div className="gameover-stats">
                                     <div className="stat-item">
-                                        <div className="stat-value">{score.toLocaleString()}M</div>
-                                        <div className="stat-label">Distance</div>
+                                        <div className="stat-value">{score.toLocaleString()}</div>
+                                        <div className="stat-label">Score</div>
                                     </div>
                                     <div className="stat-item">
                                         <div className="stat-value" style={{ color: 'var(--color-gold)' }}>{coins}</div>
                                         <div className="stat-label">Captured</div>
                                     </div>
+                                    {runInfo && (
+                                        <div className="stat-item">
+                                            <div className="stat-value">{runInfo.best.toLocaleString()}</div>
+                                            <div className="stat-label">{runInfo.isNewBest ? 'New Best!' : runInfo.mode === 'daily' ? 'Daily Best' : 'Best'}</div>
+                                        </div>
+                                    )}
                                 </div>
+                                {breakdown && <ScoreBreakdown breakdown={breakdown} />}
                                 <div className="gameover-actions" style={{ marginTop: '30px', textAlign: 'center', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '16px' }}>
                                     <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '3px', animation: 'pulse 3s infinite' }}>
                                         Awaiting Remote Input
                                     </p>
+                                    <button
+                                        onClick={() => {
+                                            playClick()
+                                            watchReplay()
+                                        }}
+                                        className="btn btn-end"
+                                        style={{ outline: 'none' }}
+                                    >
+                                        WATCH REPLAY
+                                    </button>
                                     <button
                                         onClick={() => {
                                             playClick()
@@ -2,58 +2,307 @@ import { useState, useEffect, useRef, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { createSocket } from '../socket'
 import { playClick, playSwipe, playJump, playSlide } from '../sounds'
+import { formatSeed, parseSeed } from '../game/random'
+import ScoreBreakdown from '../components/ScoreBreakdown'
+import MissionList from '../components/MissionList'
+import { COSMETICS, COSMETIC_SLOTS } from '../game/cosmetics'
+import { QUALITY_MODES, QUALITY_PRESETS } from '../game/quality'
+import { GUARDIAN_ACTIONS, GUARDIAN_ENERGY } from '../game/guardian'
+import { buyCosmetic, chooseQuality, equipCosmetic, getLastName, getPairing, loadProfile, recordRun, saveProfile, savePairing } from '../profile'
 
-export default function MobilePage({ sessionId }) {
-    const [stage, setStage] = useState('name') // name, playing, gameover
-    const [name, setName] = useState('')
+const SLOT_LABELS = { tint: 'Runner Tint', trail: 'Trail', parachute: 'Parachute' }
+const PLACE_LABELS = ['1st', '2nd', '3rd', '4th']
+const LANE_LABELS = { '-1': 'Left', 0: 'Middle', 1: 'Right' }
+// Why the server turned a join away
+const JOIN_ERRORS = {
+    unknown_session: "This game session doesn't exist — scan the QR code on the big screen again",
+    bad_pin: 'Wrong PIN — enter the PIN shown next to the QR code',
+    too_many_tries: 'Too many wrong PINs — wait a minute, then check the PIN on the big screen',
+    not_paired: 'This phone lost its place in the game — join again',
+    run_in_progress: 'Someone else is playing on the big screen — join once their run is over',
+}
+
+function hexColor(n) {
+    return `#${n.toString(16).padStart(6, '0')}`
+}
+
+export default function MobilePage({ sessionId, pin: linkedPin }) {
+    const [stage, setStage] = useState('name') // name, lobby, playing, gameover, shop, guardian
+    const pairingRef = useRef(getPairing(sessionId)) // { playerId, playerKey } the server gave this phone
+    const [playerId, setPlayerId] = useState(() => pairingRef.current ? pairingRef.current.playerId : null)
+    const [name, setName] = useState(() => getLastName())
+    const [profile, setProfile] = useState(() => loadProfile(getLastName())) // bank, best and cosmetics for this name
     const [score, setScore] = useState(0)
     const [coins, setCoins] = useState(0)
+    const [mode, setMode] = useState('free') // free, daily
+    const [seedText, setSeedText] = useState('')
+    const [ghost, setGhost] = useState(false)
+    const [race, setRace] = useState(false) // join a race against the other phones instead of running solo
+    const [lobby, setLobby] = useState(null) // { players, hostId, full } while waiting for a race to start
+    const [raceResult, setRaceResult] = useState(null) // { place, results } once a race is over
+    const [guardianState, setGuardianState] = useState(null) // { active, energy } while playing the Temple Guardian
+    const [guardianNote, setGuardianNote] = useState(null) // how the last trick went
+    const [runInfo, setRunInfo] = useState(null) // { seed, mode, best } of the last finished run
+    const [runStats, setRunStats] = useState(null) // { distance, combo } from the desktop
+    const [breakdown, setBreakdown] = useState(null)
+    const [missions, setMissions] = useState([]) // active missions with progress, from the desktop
+    const [achievements, setAchievements] = useState(null) // full list, sent when a run ends
+    const [reviveOffer, setReviveOffer] = useState(null) // { cost, seconds } after a crash
+    const [pauseState, setPauseState] = useState(null) // { countdown, reason } while the desktop run is paused
+    const [graphicsLost, setGraphicsLost] = useState(false) // the big screen is restoring its graphics
+    const [offline, setOffline] = useState(false) // lost the server; socket.io is trying to get it back
     const [swipeFeedback, setSwipeFeedback] = useState(null)
+    const [pin, setPin] = useState(linkedPin || '') // pairs this phone with the session — the QR link carries it
+    const [joinError, setJoinError] = useState(null) // the server refused the last join
     const socketRef = useRef(null)
+    const profileRef = useRef(profile)
+    const stageRef = useRef(stage)
+    const playerIdRef = useRef(playerId)
+    const joinRef = useRef(null) // the last join_session sent, to rejoin with after a reconnect
+    const shopReturnRef = useRef('name')
     const touchStartRef = useRef({ x: 0, y: 0 })
     const swipeFiredRef = useRef(false)
     const feedbackTimerRef = useRef(null)
+    const noteTimerRef = useRef(null)
+
+    // Each name has its own profile
+    useEffect(() => {
+        setProfile(loadProfile(name))
+    }, [name])
+
+    useEffect(() => {
+        profileRef.current = profile
+    }, [profile])
+
+    useEffect(() => {
+        stageRef.current = stage
+    }, [stage])
 
     // Connect socket
     useEffect(() => {
         const socket = createSocket()
         socketRef.current = socket
 
+        // socket.io reconnects by itself; a phone that was mid-run rejoins the session and the desktop,
+        // which paused when it dropped, carries on
+        socket.on('disconnect', () => setOffline(true))
+        socket.on('connect', () => {
+            setOffline(false)
+            if (joinRef.current && ['playing', 'lobby', 'guardian'].includes(stageRef.current)) socket.emit('join_session', { ...joinRef.current, rejoin: true })
+        })
+
         socket.on('score_update', (data) => {
+            // A race sends every runner's score; this phone shows its own
+            if (data.playerId && data.playerId !== playerIdRef.current) return
             setScore(data.score || 0)
             setCoins(data.coins || 0)
+            setRunStats({ distance: data.distance || 0, combo: data.combo || 1 })
+        })
+
+        // Desktop reports every pause, including ones it took by itself (tab hidden, window blurred)
+        socket.on('pause_state', (data) => {
+            setPauseState(data.paused ? { countdown: data.countdown || 0, reason: data.reason } : null)
+        })
+
+        socket.on('graphics_state', (data) => {
+            setGraphicsLost(!!data.lost)
+        })
+
+        socket.on('missions_update', (data) => {
+            setMissions(data.missions || [])
+            if (data.achievements) setAchievements(data.achievements)
+        })
+
+        socket.on('revive_offer', (data) => {
+            setReviveOffer(data.offer || null)
+        })
+
+        // Too many wrong guesses from elsewhere changed the PIN; rejoining after a drop needs the new one
+        socket.on('session_pin', (data) => {
+            setPin(data.pin)
+            if (joinRef.current) joinRef.current = { ...joinRef.current, pin: data.pin }
+        })
+
+        // The server names this phone the first time its PIN works; joining again with the key it gave
+        // comes back as the same player, and nobody else can
+        socket.on('paired', (data) => {
+            pairingRef.current = { sessionId, playerId: data.playerId, playerKey: data.playerKey }
+            savePairing(pairingRef.current)
+            playerIdRef.current = data.playerId
+            setPlayerId(data.playerId)
+            if (joinRef.current) joinRef.current = { ...joinRef.current, ...pairingRef.current }
+        })
+
+        // Unknown session or wrong PIN — back to the start screen to say so
+        socket.on('join_error', (data) => {
+            joinRef.current = null
+            setJoinError(data.reason)
+            setStage('name')
+        })
+
+        // The race lobby on the desktop: who's in and who starts it
+        socket.on('race_lobby', (data) => {
+            setLobby({ players: data.players || [], hostId: data.hostId, full: false })
+        })
+
+        socket.on('session_full', () => {
+            setLobby({ players: [], hostId: null, full: true })
+        })
+
+        socket.on('race_started', () => {
+            if (stageRef.current !== 'lobby') return
+            setScore(0)
+            setCoins(0)
+            setRunStats(null)
+            setPauseState(null)
+            setStage('playing')
+        })
+
+        // The desktop's word on the guardian's energy and on the last trick asked for
+        socket.on('guardian_state', (data) => {
+            if (stageRef.current !== 'guardian') return
+            setGuardianState({ active: !!data.active, energy: data.energy || 0 })
+            if (!data.result) return
+            const { action, ok } = data.result
+            setGuardianNote(ok ? `${GUARDIAN_ACTIONS[action].label}!` : action === 'drop' ? 'The temple refused — the runner needs a way through' : 'Nothing happened')
+            clearTimeout(noteTimerRef.current)
+            noteTimerRef.current = setTimeout(() => setGuardianNote(null), 2000)
         })
 
         socket.on('game_ended', (data) => {
-            setScore(data.score || 0)
-            setCoins(data.coins || 0)
+            // The guardian watches runs end; it has nothing to bank
+            if (stageRef.current === 'guardian') return
+            // A racer ending their own run ends nobody else's
+            if (data.playerId && data.playerId !== playerIdRef.current) return
+            // A race's results carry every runner — this phone takes its own place, score and coins
+            const mine = data.results ? data.results.find(r => r.playerId === playerIdRef.current) : null
+            if (data.results && !mine) return
+            const result = mine || data
+            setPauseState(null)
+            setGraphicsLost(false)
+            setReviveOffer(null)
+            setScore(result.score || 0)
+            setCoins(result.coins || 0)
+            setBreakdown(data.breakdown || null)
+            setRaceResult(mine ? { place: mine.place, results: data.results } : null)
+            // Only the desktop's report of a finished run carries the seed — bank those coins once, not again
+            // when the result is repeated to a phone that's already showing it
+            if (data.seed != null) setRunInfo({ seed: data.seed, mode: data.mode, best: data.best || 0 })
+            if (data.seed != null && stageRef.current !== 'gameover') {
+                const banked = recordRun(profileRef.current, { coins: result.coins, score: result.score })
+                profileRef.current = banked
+                setProfile(banked)
+            }
             setStage('gameover')
         })
 
         return () => {
             socket.disconnect()
+            clearTimeout(noteTimerRef.current)
         }
-    }, [])
+    }, [sessionId])
+
+    // A typed seed only applies to free runs; the daily challenge seed comes from the date
+    const seed = mode === 'free' ? parseSeed(seedText) : null
+    const seedInvalid = mode === 'free' && seedText.trim() !== '' && seed === null
+    const pinValid = /^\d{4}$/.test(pin)
+    const waitingForPhone = !!pauseState && pauseState.reason === 'controller' && !pauseState.countdown
+
+    // Racers wait in the desktop's lobby until the first one in starts the race
+    const joinRace = useCallback(() => {
+        const socket = socketRef.current
+        if (socket) {
+            const { look, character, quality } = profile
+            joinRef.current = { sessionId, pin, role: 'controller', ...pairingRef.current, race: true, name: name.trim(), mode, seed, look, character, quality }
+            socket.emit('join_session', joinRef.current)
+        }
+        setJoinError(null)
+        setLobby(null)
+        setRaceResult(null)
+        setRunInfo(null)
+        setBreakdown(null)
+        setStage('lobby')
+    }, [name, sessionId, pin, mode, seed, profile])
 
     const handleStartGame = useCallback(() => {
-        if (!name.trim()) return
+        if (!name.trim() || seedInvalid || !pinValid) return
         playClick()
+        saveProfile(profile)
+        if (race) { joinRace(); return }
         const socket = socketRef.current
         if (socket) {
-            socket.emit('join_session', {
+            joinRef.current = {
                 sessionId,
+                pin,
                 role: 'controller',
-                name: name.trim()
-            })
+                ...pairingRef.current,
+                name: name.trim(),
+                mode,
+                seed,
+                ghost,
+                look: profile.look,
+                character: profile.character,
+                quality: profile.quality
+            }
+            socket.emit('join_session', joinRef.current)
             socket.emit('start_game', { sessionId })
         }
+        setRunInfo(null)
+        setRunStats(null)
+        setReviveOffer(null)
+        setBreakdown(null)
+        setPauseState(null)
+        setRaceResult(null)
+        setJoinError(null)
         setStage('playing')
-    }, [name, sessionId])
+    }, [name, sessionId, pin, pinValid, mode, seed, ghost, seedInvalid, profile, race, joinRace])
+
+    // === TEMPLE GUARDIAN ===
+    const handleJoinGuardian = useCallback(() => {
+        if (!name.trim() || !pinValid) return
+        playClick()
+        saveProfile(profile)
+        const socket = socketRef.current
+        if (socket) {
+            joinRef.current = { sessionId, pin, role: 'guardian', ...pairingRef.current, name: name.trim() }
+            socket.emit('join_session', joinRef.current)
+        }
+        setJoinError(null)
+        setGuardianState(null)
+        setGuardianNote(null)
+        setStage('guardian')
+    }, [name, sessionId, pin, pinValid, profile])
+
+    const handleGuardianAction = useCallback((action, lane = 0) => {
+        playClick()
+        if (navigator.vibrate) navigator.vibrate(15)
+        if (socketRef.current) socketRef.current.emit('guardian_action', { sessionId, action, lane })
+    }, [sessionId])
+
+    const handleLeaveGuardian = useCallback(() => {
+        playClick()
+        if (socketRef.current) socketRef.current.emit('guardian_leave', { sessionId })
+        joinRef.current = null
+        setStage('name')
+    }, [sessionId])
+
+    const handleRaceStart = useCallback(() => {
+        playClick()
+        if (socketRef.current) socketRef.current.emit('race_start', { sessionId, playerId })
+    }, [sessionId, playerId])
+
+    const handleLeaveRace = useCallback(() => {
+        playClick()
+        if (socketRef.current) socketRef.current.emit('race_leave', { sessionId, playerId })
+        joinRef.current = null
+        setLobby(null)
+        setStage('name')
+    }, [sessionId, playerId])
 
     const sendControl = useCallback((direction) => {
         const socket = socketRef.current
         if (socket) {
-            socket.emit('control', { sessionId, direction })
+            socket.emit('control', { sessionId, playerId, direction })
         }
         // Direction-specific audio feedback
         if (direction === 'up') playJump()
@@ -68,29 +317,93 @@ export default function MobilePage({ sessionId }) {
         setSwipeFeedback(labels[direction] || direction)
         if (feedbackTimerRef.current) clearTimeout(feedbackTimerRef.current)
         feedbackTimerRef.current = setTimeout(() => setSwipeFeedback(null), 400)
+    }, [sessionId, playerId])
+
+    const handlePause = useCallback(() => {
+        playClick()
+        const socket = socketRef.current
+        if (!socket) return
+        if (pauseState) {
+            // A run waiting for a dropped phone can't be resumed from here
+            if (!pauseState.countdown && pauseState.reason !== 'controller') socket.emit('resume_game', { sessionId })
+        } else {
+            socket.emit('pause_game', { sessionId })
+        }
+    }, [sessionId, pauseState])
+
+    const handleRevive = useCallback((accept) => {
+        playClick()
+        if (socketRef.current) socketRef.current.emit(accept ? 'revive' : 'revive_decline', { sessionId })
+        setReviveOffer(null)
     }, [sessionId])
 
     const handleEndGame = useCallback(() => {
         playClick()
         const socket = socketRef.current
         if (socket) {
-            socket.emit('end_game', { sessionId, score, coins })
+            socket.emit('end_game', { sessionId, playerId, score, coins })
         }
         setStage('gameover')
-    }, [sessionId, score, coins])
+    }, [sessionId, playerId, score, coins])
 
     const handlePlayAgain = useCallback(() => {
         playClick()
+        // After a race, racing again means a new lobby
+        if (race) { joinRace(); return }
         const socket = socketRef.current
         if (socket) {
-            socket.emit('restart_game', { sessionId })
-            socket.emit('join_session', { sessionId, role: 'controller', name: name.trim() })
+            const { look, character, quality } = profile
+            socket.emit('restart_game', { sessionId, mode, seed, ghost, look, character, quality })
+            joinRef.current = { sessionId, pin, role: 'controller', ...pairingRef.current, name: name.trim(), mode, seed, ghost, look, character, quality }
+            socket.emit('join_session', joinRef.current)
             socket.emit('start_game', { sessionId })
         }
         setScore(0)
         setCoins(0)
+        setRunInfo(null)
+        setRunStats(null)
+        setReviveOffer(null)
+        setBreakdown(null)
+        setPauseState(null)
         setStage('playing')
-    }, [sessionId, name])
+    }, [sessionId, pin, name, mode, seed, ghost, profile, race, joinRace])
+
+    const handleWatchReplay = useCallback(() => {
+        playClick()
+        const socket = socketRef.current
+        if (socket) {
+            socket.emit('watch_replay', { sessionId })
+        }
+    }, [sessionId])
+
+    // === SHOP ===
+    const openShop = useCallback(() => {
+        playClick()
+        shopReturnRef.current = stage
+        setStage('shop')
+    }, [stage])
+
+    const closeShop = useCallback(() => {
+        playClick()
+        setStage(shopReturnRef.current)
+    }, [])
+
+    // Tap an owned item to wear it, or an affordable one to buy it
+    const handleShopItem = useCallback((slot, item) => {
+        const p = profileRef.current
+        const next = p.owned[slot].includes(item.id) ? equipCosmetic(p, slot, item.id) : buyCosmetic(p, slot, item.id)
+        if (!next) return
+        playClick()
+        profileRef.current = next
+        setProfile(next)
+    }, [])
+
+    const handleQuality = useCallback((mode) => {
+        playClick()
+        const next = chooseQuality(profileRef.current, mode)
+        profileRef.current = next
+        setProfile(next)
+    }, [])
 
     const handleQuit = useCallback(() => {
         playClick()
@@ -108,7 +421,7 @@ export default function MobilePage({ sessionId }) {
         }
         const onMove = (e) => {
             if (stage === 'playing') e.preventDefault() // Must prevent scroll to capture left swipe
-            if (stage !== 'playing' || swipeFiredRef.current) return
+            if (stage !== 'playing' || pauseState || reviveOffer || swipeFiredRef.current) return
             const touch = e.touches[0]
             const dx = touch.clientX - touchStartRef.current.x
             const dy = touch.clientY - touchStartRef.current.y
@@ -136,7 +449,7 @@ export default function MobilePage({ sessionId }) {
             document.removeEventListener('touchmove', onMove)
             document.removeEventListener('touchend', onEnd)
         }
-    }, [stage, sendControl])
+    }, [stage, pauseState, reviveOffer, sendControl])
 
     return (
         <div className="mobile-container">
@@ -164,6 +477,7 @@ export default function MobilePage({ sessionId }) {
                         />
                         <h1 className="game-title">Relic Rush</h1>
                         <p className="enter-text">Enter your name to begin</p>
+                        {joinError && <p className="join-error">{JOIN_ERRORS[joinError] || 'Could not join this game'}</p>}
 
                         <input
                             className="name-input"
@@ -178,14 +492,219 @@ export default function MobilePage({ sessionId }) {
                             autoCapitalize="words"
                         />
 
+                        {/* The QR link carries the PIN; typed in when the link didn't, or it was wrong */}
+                        {(!linkedPin || joinError === 'bad_pin') && (
+                            <input
+                                className={`seed-input ${pin && !pinValid ? 'invalid' : ''}`}
+                                type="text"
+                                inputMode="numeric"
+                                placeholder="PIN on the big screen"
+                                value={pin}
+                                onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                                maxLength={4}
+                                autoComplete="off"
+                            />
+                        )}
+
+                        <div className="mode-toggle">
+                            <button className={`mode-btn ${mode === 'free' ? 'active' : ''}`} onClick={() => setMode('free')}>
+                                Free Run
+                            </button>
+                            <button className={`mode-btn ${mode === 'daily' ? 'active' : ''}`} onClick={() => setMode('daily')}>
+                                Daily Challenge
+                            </button>
+                        </div>
+
+                        {mode === 'free' ? (
+                            <input
+                                className={`seed-input ${seedInvalid ? 'invalid' : ''}`}
+                                type="text"
+                                placeholder="Seed (optional)"
+                                value={seedText}
+                                onChange={(e) => setSeedText(e.target.value)}
+                                maxLength={7}
+                                autoComplete="off"
+                                autoCapitalize="characters"
+                            />
+                        ) : (
+                            <p className="enter-text">Same course for everyone today</p>
+                        )}
+
+                        <div className="mode-toggle">
+                            <button className={`mode-btn ${!race ? 'active' : ''}`} onClick={() => setRace(false)}>
+                                Solo
+                            </button>
+                            <button className={`mode-btn ${race ? 'active' : ''}`} onClick={() => setRace(true)}>
+                                Race 2–4 Phones
+                            </button>
+                        </div>
+
+                        {!race && (
+                            <button className={`mode-btn ghost-toggle ${ghost ? 'active' : ''}`} onClick={() => setGhost(g => !g)}>
+                                {ghost ? 'Racing my best ghost' : 'Race my best ghost'}
+                            </button>
+                        )}
+
+                        <div className="quality-picker">
+                            <span className="quality-heading">Graphics</span>
+                            <div className="mode-toggle">
+                                {QUALITY_MODES.map(q => (
+                                    <button key={q} className={`mode-btn ${profile.quality === q ? 'active' : ''}`} onClick={() => handleQuality(q)}>
+                                        {q === 'auto' ? 'Auto' : QUALITY_PRESETS[q].label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
                         <motion.button
                             className="btn btn-primary"
                             onClick={handleStartGame}
                             whileTap={{ scale: 0.95 }}
-                            style={{ opacity: name.trim() ? 1 : 0.4, pointerEvents: name.trim() ? 'auto' : 'none' }}
+                            style={{ opacity: name.trim() && !seedInvalid && pinValid ? 1 : 0.4, pointerEvents: name.trim() && !seedInvalid && pinValid ? 'auto' : 'none' }}
                         >
-                            START
+                            {race ? 'JOIN RACE' : 'START'}
                         </motion.button>
+
+                        <button
+                            className="btn btn-end"
+                            onClick={handleJoinGuardian}
+                            style={{ opacity: name.trim() && pinValid ? 1 : 0.4, pointerEvents: name.trim() && pinValid ? 'auto' : 'none' }}
+                        >
+                            JOIN AS TEMPLE GUARDIAN
+                        </button>
+
+                        {name.trim() && (
+                            <div className="profile-bar">
+                                <span>{profile.bank.toLocaleString()} COINS · BEST {profile.best.toLocaleString()}</span>
+                                <button className="mode-btn" onClick={openShop}>Shop</button>
+                            </div>
+                        )}
+                    </motion.div>
+                )}
+
+                {/* Race Lobby */}
+                {stage === 'lobby' && (
+                    <motion.div
+                        key="lobby"
+                        className="name-entry"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -20 }}
+                    >
+                        <h2 className="game-title">Race</h2>
+                        {!lobby ? (
+                            <p className="enter-text">Joining the race...</p>
+                        ) : lobby.full ? (
+                            <p className="enter-text">This race is full — four phones at most</p>
+                        ) : !lobby.players.some(p => p.id === playerId) ? (
+                            <p className="enter-text">A race is already running — join the next one</p>
+                        ) : (
+                            <>
+                                <ul className="race-lobby">
+                                    {lobby.players.map(p => (
+                                        <li key={p.id} className={p.id === playerId ? 'me' : ''}>
+                                            {p.name}{p.id === lobby.hostId ? ' · host' : ''}
+                                        </li>
+                                    ))}
+                                </ul>
+                                {lobby.hostId !== playerId ? (
+                                    <p className="enter-text">Waiting for the host to start</p>
+                                ) : lobby.players.length < 2 ? (
+                                    <p className="enter-text">Waiting for another phone to join</p>
+                                ) : (
+                                    <motion.button className="btn btn-primary" onClick={handleRaceStart} whileTap={{ scale: 0.95 }}>
+                                        START RACE
+                                    </motion.button>
+                                )}
+                            </>
+                        )}
+                        <button className="btn btn-end" onClick={handleLeaveRace}>LEAVE</button>
+                    </motion.div>
+                )}
+
+                {/* Temple Guardian */}
+                {stage === 'guardian' && (
+                    <motion.div
+                        key="guardian"
+                        className="name-entry"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -20 }}
+                    >
+                        <h2 className="game-title">Temple Guardian</h2>
+                        <p className="enter-text">
+                            {!guardianState ? 'Joining the temple...' : guardianState.active ? `Runner at ${(runStats ? runStats.distance : 0).toLocaleString()}M · ${score.toLocaleString()} points` : 'Waiting for a run'}
+                        </p>
+                        <div className="guardian-energy">
+                            <div className="guardian-energy-fill" style={{ width: `${guardianState ? (guardianState.energy / GUARDIAN_ENERGY.max) * 100 : 0}%` }} />
+                        </div>
+                        <span className="quality-heading">Energy {guardianState ? Math.floor(guardianState.energy) : 0}/{GUARDIAN_ENERGY.max}</span>
+
+                        {Object.entries(GUARDIAN_ACTIONS).map(([action, def]) => {
+                            const ready = !!guardianState && guardianState.active && guardianState.energy >= def.cost
+                            return (
+                                <div className="quality-picker" key={action}>
+                                    <span className="quality-heading">{def.label} · {def.cost}</span>
+                                    {def.aimed ? (
+                                        <div className="guardian-lanes">
+                                            {[-1, 0, 1].map(lane => (
+                                                <button key={lane} className="btn btn-end" disabled={!ready} onClick={() => handleGuardianAction(action, lane)}>
+                                                    {LANE_LABELS[lane]}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <button className="btn btn-end" disabled={!ready} onClick={() => handleGuardianAction(action)}>
+                                            {def.label}
+                                        </button>
+                                    )}
+                                </div>
+                            )
+                        })}
+
+                        {guardianNote && <p className="enter-text">{guardianNote}</p>}
+                        <button className="btn btn-end" onClick={handleLeaveGuardian}>LEAVE</button>
+                    </motion.div>
+                )}
+
+                {/* Shop */}
+                {stage === 'shop' && (
+                    <motion.div
+                        key="shop"
+                        className="shop"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -20 }}
+                    >
+                        <div className="shop-header">
+                            <h2 className="game-title">Shop</h2>
+                            <div className="controller-coins">{profile.bank.toLocaleString()} COINS</div>
+                        </div>
+                        {COSMETIC_SLOTS.map(slot => (
+                            <div className="shop-section" key={slot}>
+                                <div className="mission-heading">{SLOT_LABELS[slot]}</div>
+                                <div className="shop-items">
+                                    {COSMETICS[slot].map(item => {
+                                        const owned = profile.owned[slot].includes(item.id)
+                                        const worn = profile.look[slot] === item.id
+                                        const swatch = item.color ?? item.canopy
+                                        return (
+                                            <button
+                                                key={item.id}
+                                                className={`shop-item ${worn ? 'worn' : ''}`}
+                                                onClick={() => handleShopItem(slot, item)}
+                                                disabled={!owned && profile.bank < item.price}
+                                            >
+                                                <span className="shop-swatch" style={{ background: swatch != null ? hexColor(swatch) : 'transparent' }} />
+                                                <span className="shop-item-label">{item.label}</span>
+                                                <span className="shop-item-price">{worn ? 'Worn' : owned ? 'Wear' : `${item.price} coins`}</span>
+                                            </button>
+                                        )
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+                        <button className="btn btn-primary" onClick={closeShop}>DONE</button>
                     </motion.div>
                 )}
 
@@ -200,14 +719,64 @@ export default function MobilePage({ sessionId }) {
                     >
                         <div className="controller-header">
                             <div>
-                                <div className="controller-score">{score.toLocaleString()}M</div>
-                                <div className="controller-coins">{coins} COINS</div>
+                                <div className="controller-score">{score.toLocaleString()}</div>
+                                <div className="controller-coins">{runStats ? runStats.distance.toLocaleString() : 0}M · {coins} COINS</div>
+                                {runStats && runStats.combo > 1 && <div className="controller-combo">COMBO x{runStats.combo.toFixed(1)}</div>}
+                            </div>
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                                <button className="btn btn-end" onClick={handlePause} disabled={waitingForPhone}>
+                                    {waitingForPhone ? 'WAITING' : pauseState ? 'RESUME' : 'PAUSE'}
+                                </button>
+                                <button className="btn btn-end" onClick={handleEndGame}>
+                                    DISCONNECT
+                                </button>
                             </div>
-                            <button className="btn btn-end" onClick={handleEndGame}>
-                                DISCONNECT
-                            </button>
                         </div>
 
+                        {reviveOffer && (
+                            <div className="controller-paused">
+                                <div className="pause-countdown" key={reviveOffer.seconds}>{reviveOffer.seconds}</div>
+                                <motion.button className="btn btn-primary" onClick={() => handleRevive(true)} whileTap={{ scale: 0.95 }}>
+                                    REVIVE FOR {reviveOffer.cost} COINS
+                                </motion.button>
+                                <button className="btn btn-end" onClick={() => handleRevive(false)}>
+                                    GIVE UP
+                                </button>
+                            </div>
+                        )}
+
+                        {offline ? (
+                            <div className="controller-paused">
+                                <h2 className="pause-title">RECONNECTING</h2>
+                                <p className="pause-hint">Lost the connection — the run waits on the big screen until you're back</p>
+                            </div>
+                        ) : graphicsLost ? (
+                            <div className="controller-paused">
+                                <h2 className="pause-title">GRAPHICS RESET</h2>
+                                <p className="pause-hint">The big screen is restoring the temple — your run picks up right where it stopped</p>
+                            </div>
+                        ) : pauseState && (
+                            <div className="controller-paused">
+                                {pauseState.countdown ? (
+                                    <div className="pause-countdown" key={pauseState.countdown}>{pauseState.countdown}</div>
+                                ) : waitingForPhone ? (
+                                    <>
+                                        <h2 className="pause-title">WAITING</h2>
+                                        <p className="pause-hint">A phone dropped out — the run carries on once it's back</p>
+                                    </>
+                                ) : (
+                                    <>
+                                        <h2 className="pause-title">PAUSED</h2>
+                                        <motion.button className="btn btn-primary" onClick={handlePause} whileTap={{ scale: 0.95 }}>
+                                            RESUME
+                                        </motion.button>
+                                    </>
+                                )}
+                            </div>
+                        )}
+
+                        {missions.length > 0 && <MissionList missions={missions} compact />}
+
                         <div className="controller-body" style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
                             <div className="trackpad-container">
                                 <p className="swipe-hint" style={{ position: 'relative', top: '-10px', marginTop: '10px' }}>Swipe anywhere to move</p>
@@ -236,23 +805,71 @@ export default function MobilePage({ sessionId }) {
                         animate={{ opacity: 1, scale: 1 }}
                         exit={{ opacity: 0 }}
                     >
-                        <h2 className="gameover-title">Game Over</h2>
+                        <h2 className="gameover-title">{raceResult ? `${PLACE_LABELS[raceResult.place - 1]} Place` : 'Game Over'}</h2>
+                        {runInfo && (
+                            <p className="run-meta">
+                                {runInfo.mode === 'daily' ? 'Daily Challenge' : 'Free Run'} · Seed <span className="run-seed">{formatSeed(runInfo.seed)}</span>
+                            </p>
+                        )}
 
                         <div className="gameover-stats">
                             <div className="stat-item">
-                                <div className="stat-value">{score.toLocaleString()}M</div>
-                                <div className="stat-label">Distance</div>
+                                <div className="stat-value">{score.toLocaleString()}</div>
+                                <div className="stat-label">Score</div>
                             </div>
                             <div className="stat-item">
                                 <div className="stat-value" style={{ color: 'var(--color-gold)' }}>{coins}</div>
                                 <div className="stat-label">Captured</div>
                             </div>
+                            {runInfo && !raceResult && (
+                                <div className="stat-item">
+                                    <div className="stat-value">{runInfo.best.toLocaleString()}</div>
+                                    <div className="stat-label">{runInfo.mode === 'daily' ? 'Daily Best' : 'Best'}</div>
+                                </div>
+                            )}
                         </div>
 
+                        {raceResult && (
+                            <ol className="race-results">
+                                {raceResult.results.map(r => (
+                                    <li key={r.playerId} className={r.playerId === playerId ? 'me' : ''}>
+                                        <span>{PLACE_LABELS[r.place - 1]}</span>
+                                        <span>{r.name}</span>
+                                        <span>{r.distance.toLocaleString()}M</span>
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+
+                        {breakdown && <ScoreBreakdown breakdown={breakdown} />}
+
+                        <div className="profile-bar">
+                            <span>BANK {profile.bank.toLocaleString()} COINS</span>
+                            <button className="mode-btn" onClick={openShop}>Shop</button>
+                        </div>
+
+                        {missions.length > 0 && <MissionList missions={missions} />}
+
+                        {achievements && (
+                            <div className="achievement-grid">
+                                {achievements.map(a => (
+                                    <div key={a.id} className={`achievement ${a.unlocked ? 'unlocked' : ''}`} title={a.desc}>
+                                        <div className="achievement-label">{a.label}</div>
+                                        <div className="achievement-desc">{a.desc}</div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
                         <div className="gameover-actions" style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
                             <button className="btn btn-primary" onClick={handlePlayAgain} style={{ flex: 1 }}>
-                                RESTART
+                                {race ? 'RACE AGAIN' : 'RESTART'}
                             </button>
+                            {!race && (
+                                <button className="btn btn-end" onClick={handleWatchReplay} style={{ flex: 1 }}>
+                                    REPLAY
+                                </button>
+                            )}
                             <button className="btn btn-end" onClick={handleQuit} style={{ flex: 1 }}>
                                 DISCONNECT
                             </button>
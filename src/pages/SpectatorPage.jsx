@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react'
+import { createSocket } from '../socket'
+import { POWER_UPS } from '../game/powerups'
+import { formatSeed } from '../game/random'
+
+const PLACE_LABELS = ['1st', '2nd', '3rd', '4th']
+
+function hexColor(n) {
+    return `#${n.toString(16).padStart(6, '0')}`
+}
+
+// Read-only view of a session for another screen, such as a TV. It joins as a spectator, draws the state
+// the host desktop streams, and sends nothing else — the server drops anything a spectator sends anyway
+export default function SpectatorPage({ sessionId }) {
+    const [connected, setConnected] = useState(false)
+    const [view, setView] = useState(null) // the host's latest state
+    const [missing, setMissing] = useState(false) // no such session on the server
+
+    useEffect(() => {
+        const socket = createSocket()
+        socket.on('connect', () => {
+            setConnected(true)
+            socket.emit('join_session', { sessionId, role: 'spectator' })
+        })
+        socket.on('disconnect', () => setConnected(false))
+        socket.on('spectate_state', (state) => setView(state))
+        socket.on('join_error', () => setMissing(true))
+        return () => {
+            socket.disconnect()
+        }
+    }, [sessionId])
+
+    const running = view && (view.stage === 'game' || view.stage === 'gameover')
+    const racing = view && view.racers
+
+    return (
+        <div className="desktop-container spectator">
+            <div className="desktop-bg" />
+            <p className="scan-text">Relic Rush · Spectating {sessionId}</p>
+
+            {missing ? (
+                <p className="waiting-text">No game with this session — check the link on the host screen</p>
+            ) : !connected || !view ? (
+                <p className="waiting-text">{connected ? 'Waiting for the host screen' : 'Connecting'}...</p>
+            ) : running ? (
+                <div className="glass-card spectate-card">
+                    <div className="hud-player-name">{(view.name || 'Player').toUpperCase()}</div>
+                    <div className="hud-score">{view.score.toLocaleString()}</div>
+                    <div className="hud-coins">{view.stats ? view.stats.distance.toLocaleString() : 0}M · {view.coins} COINS</div>
+                    {view.stats && view.stats.combo > 1 && <div className="hud-combo">COMBO x{view.stats.combo.toFixed(1)}</div>}
+                    <div className="hud-powerups">
+                        {view.replay && <div className="hud-badge">Replay</div>}
+                        {view.paused && <div className="hud-badge">Paused</div>}
+                        {view.powerUps.map(type => (
+                            <div key={type} className="hud-badge" style={{ background: hexColor(POWER_UPS[type].color) }}>
+                                {POWER_UPS[type].label}
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* The three lanes seen from above; the runner rises as it jumps and crouches as it slides */}
+                    <div className="spectate-track">
+                        <div className="spectate-lane" />
+                        <div className="spectate-lane" />
+                        <div className="spectate-lane" />
+                        {view.stats && (
+                            <div
+                                className={`spectate-runner ${view.stats.sliding ? 'sliding' : ''}`}
+                                style={{ left: `${((view.stats.x + 1.5) / 3) * 100}%`, transform: `translate(-50%, ${-view.stats.y * 8}px) scale(${1 + view.stats.y * 0.08})` }}
+                            />
+                        )}
+                    </div>
+
+                    {view.stage === 'gameover' && <p className="gameover-title">RUN ENDED</p>}
+                    {view.seed != null && (
+                        <p className="run-meta">
+                            {view.mode === 'daily' ? 'Daily Challenge' : 'Free Run'} · Seed <span className="run-seed">{formatSeed(view.seed)}</span>
+                        </p>
+                    )}
+                </div>
+            ) : racing ? (
+                <div className="glass-card spectate-card">
+                    <h2 className="gameover-title">{view.placings ? 'RACE OVER' : 'RACE'}</h2>
+                    <ol className="race-results">
+                        {(view.placings || [...view.racers].sort((a, b) => b.distance - a.distance)).map((r, i) => (
+                            <li key={r.playerId || r.id}>
+                                <span>{r.out && !view.placings ? 'OUT' : PLACE_LABELS[(r.place || i + 1) - 1]}</span>
+                                <span>{r.name}</span>
+                                <span>{r.distance.toLocaleString()}M</span>
+                                <span>{r.score.toLocaleString()}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            ) : (
+                <div className="glass-card spectate-card">
+                    {view.lobby ? (
+                        <>
+                            <p className="waiting-text">Race lobby</p>
+                            <ul className="race-lobby">
+                                {view.lobby.map(p => <li key={p.id}>{p.name}</li>)}
+                            </ul>
+                        </>
+                    ) : (
+                        <p className="waiting-text">Waiting for a run to start</p>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,101 @@
+/**
+ * Relic Rush — Player profiles
+ * Kept in localStorage on the phone, keyed by player name: a coin bank that fills up run after run,
+ * the best score, the cosmetics bought and worn, the character and the graphics quality. The last name used is remembered for next time.
+ */
+import { COSMETICS, COSMETIC_SLOTS, DEFAULT_LOOK, readLook } from './game/cosmetics'
+import { readCharacter } from './game/characters'
+import { readQuality } from './game/quality'
+
+const STORAGE_KEY = 'relicRush.profiles'
+const PAIRING_KEY = 'relicRush.pairing'
+
+function load() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch (e) {
+        return {}
+    }
+}
+
+function save(data) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(data)) } catch (e) { }
+}
+
+function profileKey(name) {
+    return (name || '').trim().toLowerCase()
+}
+
+export function getLastName() {
+    return load().last || ''
+}
+
+// The player id the server gave this phone in a session, with the key that proves it — kept for the tab's
+// life, so a reload or reconnect comes back as the same player
+export function getPairing(sessionId) {
+    try {
+        const pairing = JSON.parse(sessionStorage.getItem(PAIRING_KEY))
+        return pairing && pairing.sessionId === sessionId ? pairing : null
+    } catch (e) {
+        return null
+    }
+}
+
+export function savePairing(pairing) {
+    try { sessionStorage.setItem(PAIRING_KEY, JSON.stringify(pairing)) } catch (e) { }
+}
+
+export function loadProfile(name) {
+    const profiles = load().profiles || {}
+    const p = profiles[profileKey(name)] || {}
+    const owned = {}
+    for (const slot of COSMETIC_SLOTS) owned[slot] = [...new Set([COSMETICS[slot][0].id, ...((p.owned && p.owned[slot]) || [])])]
+    return {
+        name: (name || '').trim(), bank: p.bank || 0, best: p.best || 0,
+        owned, look: readLook(p.look || DEFAULT_LOOK), character: readCharacter(p.character),
+        quality: readQuality(p.quality)
+    }
+}
+
+export function saveProfile(profile) {
+    const key = profileKey(profile.name)
+    if (!key) return
+    const data = load()
+    data.profiles = data.profiles || {}
+    data.profiles[key] = { bank: profile.bank, best: profile.best, owned: profile.owned, look: profile.look, character: profile.character, quality: profile.quality }
+    data.last = profile.name
+    save(data)
+}
+
+// Bank a finished run's coins and keep the best score
+export function recordRun(profile, { coins, score }) {
+    const next = { ...profile, bank: profile.bank + (coins || 0), best: Math.max(profile.best, score || 0) }
+    saveProfile(next)
+    return next
+}
+
+// Buying wears the item straight away. Returns null if it's unaffordable or already owned
+export function buyCosmetic(profile, slot, id) {
+    const item = COSMETICS[slot].find(c => c.id === id)
+    if (!item || profile.owned[slot].includes(id) || profile.bank < item.price) return null
+    const next = {
+        ...profile, bank: profile.bank - item.price,
+        owned: { ...profile.owned, [slot]: [...profile.owned[slot], id] },
+        look: { ...profile.look, [slot]: id }
+    }
+    saveProfile(next)
+    return next
+}
+
+export function chooseQuality(profile, mode) {
+    const next = { ...profile, quality: readQuality(mode) }
+    saveProfile(next)
+    return next
+}
+
+export function equipCosmetic(profile, slot, id) {
+    if (!profile.owned[slot].includes(id)) return profile
+    const next = { ...profile, look: { ...profile.look, [slot]: id } }
+    saveProfile(next)
+    return next
+}
@@ -0,0 +1,68 @@
+/**
+ * Relic Rush — Local run records
+ * Best scores and saved runs live in localStorage on the desktop; daily challenge bests are kept
+ * per calendar day, separate from free runs.
+ */
+
+const STORAGE_KEY = 'relicRush.records'
+
+function load() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch (e) {
+        return {}
+    }
+}
+
+function save(records) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(records)) } catch (e) { }
+}
+
+function bestKey(mode, day) {
+    return mode === 'daily' ? `daily:${day}` : 'free'
+}
+
+export function getBestScore(mode, day) {
+    const records = load()
+    return (records.best && records.best[bestKey(mode, day)]) || 0
+}
+
+// Returns the best score for this mode after the run, and whether this run set it
+export function recordScore(mode, day, score) {
+    const records = load()
+    const key = bestKey(mode, day)
+    records.best = records.best || {}
+    const prev = records.best[key] || 0
+    if (score > prev) {
+        records.best[key] = score
+        save(records)
+        return { best: score, isNewBest: true }
+    }
+    return { best: prev, isNewBest: false }
+}
+
+// === SAVED RUNS ===
+// Each run keeps its seed and input log, which is all a replay or ghost needs.
+// Runs recorded under an older simulation version are skipped — they would no longer play out the same.
+const MAX_RECENT_RUNS = 10
+
+export function saveRun(run) {
+    const records = load()
+    records.runs = [run, ...(records.runs || [])].slice(0, MAX_RECENT_RUNS)
+    records.bestRuns = records.bestRuns || {}
+    const key = bestKey(run.mode, run.day)
+    const prev = records.bestRuns[key]
+    if (!prev || prev.version !== run.version || run.score > prev.score) records.bestRuns[key] = run
+    save(records)
+}
+
+export function getLastRun(version) {
+    const runs = load().runs || []
+    return runs.find(r => r.version === version) || null
+}
+
+export function getBestRun(mode, day, version) {
+    const records = load()
+    const run = records.bestRuns && records.bestRuns[bestKey(mode, day)]
+    return run && run.version === version ? run : null
+}
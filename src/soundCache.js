@@ -0,0 +1,23 @@
+/**
+ * Relic Rush — Sound files
+ * The recorded sounds, downloaded once and played from memory after that. Kept apart from the 3D asset
+ * cache so the phone, which plays sounds but draws no 3D, doesn't load three.js to get them.
+ */
+
+// Only files that are in public/ — the run music isn't shipped, so it's never preloaded
+export const SOUND_FILES = ['/breathing.wav', '/landing.mp3']
+
+const cached = new Map() // url → object URL of the downloaded file
+
+// Download a sound into the cache; resolves with its url, rejects if it can't be fetched
+export function loadSound(url) {
+    return fetch(url).then(res => {
+        if (!res.ok) throw new Error(`${url}: ${res.status}`)
+        return res.blob()
+    }).then(blob => { cached.set(url, URL.createObjectURL(blob)); return url })
+}
+
+// Where to play a sound from: the preloaded copy if there is one, otherwise the file itself
+export function soundUrl(url) {
+    return cached.get(url) || url
+}
@@ -2,6 +2,7 @@
  * Relic Rush — LOUD Professional Game Sound Engine
  * Uses dynamic compressor for maximum loudness
  */
+import { soundUrl } from './soundCache'
 
 let audioCtx = null
 let bgMusicNodes = null
@@ -22,13 +23,13 @@ export function toggleMute() {
 
     // Force-play paused tracks that were blocked by autoplay rules
     if (!runMusic) {
-        runMusic = new Audio('/run_music.mp3')
+        runMusic = new Audio(soundUrl('/run_music.mp3'))
         runMusic.loop = true
         runMusic.volume = 0.4
     }
 
     if (!breathingAudio) {
-        breathingAudio = new Audio('/breathing.wav')
+        breathingAudio = new Audio(soundUrl('/breathing.wav'))
         breathingAudio.volume = 0.5
     }
 
@@ -265,7 +266,7 @@ export function playParachuteWind() {
 
 export function playLanding() {
     try {
-        const audio = new Audio('/landing.mp3')
+        const audio = new Audio(soundUrl('/landing.mp3'))
         audio.volume = 1.0
         audio.muted = isGlobalMuted
         audio.play().catch(e => console.error(e))
@@ -277,7 +278,7 @@ export function playLanding() {
 export function playBreathing() {
     try {
         if (!breathingAudio) {
-            breathingAudio = new Audio('/breathing.wav')
+            breathingAudio = new Audio(soundUrl('/breathing.wav'))
             breathingAudio.volume = 0.5
         }
         breathingAudio.muted = isGlobalMuted
@@ -315,7 +316,7 @@ export function startBgMusic() {
             runMusic.pause()
             runMusic.currentTime = 0
         }
-        runMusic = new Audio('/run_music.mp3')
+        runMusic = new Audio(soundUrl('/run_music.mp3'))
         runMusic.loop = true
         runMusic.volume = 0.4
         runMusic.muted = isGlobalMuted
@@ -342,3 +343,27 @@ export function stopBgMusic() {
         }
     } catch (e) { }
 }
+
+/**
+ * PAUSE — hold the run's music and breathing where they are, and freeze any effects still ringing
+ */
+let breathingWasPlaying = false
+
+export function pauseRunAudio() {
+    try {
+        if (runMusic) runMusic.pause()
+        breathingWasPlaying = !!breathingAudio && !breathingAudio.paused && !breathingAudio.ended
+        if (breathingAudio) breathingAudio.pause()
+        if (audioCtx && audioCtx.state === 'running') audioCtx.suspend()
+    } catch (e) { }
+}
+
+export function resumeRunAudio() {
+    try {
+        if (audioCtx && audioCtx.state === 'suspended') audioCtx.resume()
+        if (isGlobalMuted) return
+        if (runMusic && isBgMusicActive && runMusic.paused) runMusic.play().catch(e => { })
+        if (breathingAudio && breathingWasPlaying) breathingAudio.play().catch(e => { })
+        breathingWasPlaying = false
+    } catch (e) { }
+}
@@ -0,0 +1,103 @@
+/**
+ * Relic Rush — Simulation determinism
+ * The run's rules are a pure function of the seed and the input log: two runs on one seed with the same
+ * inputs end the same way, and a saved record replays to the same ending. Runs with `npm test`.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import RunSimulation, { FIXED_DT, INPUT_ACTIONS, SIM_VERSION } from '../src/game/Simulation.js'
+import { GUARDIAN_ACTION_TYPES } from '../src/game/guardian.js'
+
+const SEED = 0x5eed
+const MAX_TICKS = 60 * 90
+
+// Plays a run with a scripted player and guardian, reviving when it can. The script only reads the tick,
+// so every run it plays on one seed gets the same inputs at the same moments
+function playScripted(seed) {
+    const sim = new RunSimulation({ seed })
+    // Enough coins banked up front for a couple of revives
+    sim.coins = 100
+    sim.begin()
+    let r = 1
+    while (sim.tick < MAX_TICKS) {
+        if (sim.gameOver) {
+            if (!sim.revive()) break
+            continue
+        }
+        r = (r * 16807) % 2147483647
+        if (r % 11 === 0) sim.input(INPUT_ACTIONS[r % INPUT_ACTIONS.length])
+        if (sim.tick % 90 === 0) sim.guardianAct(GUARDIAN_ACTION_TYPES[(sim.tick / 90) % GUARDIAN_ACTION_TYPES.length], (sim.tick / 90) % 3 - 1)
+        sim.step(FIXED_DT)
+    }
+    sim.end()
+    return sim
+}
+
+// Plays a saved record back the way the game does, taking each logged revive as it comes up
+function replay(record) {
+    const sim = new RunSimulation({ seed: record.seed, replay: record.inputs })
+    sim.coins = 100
+    sim.begin()
+    while (sim.tick < record.ticks) {
+        if (sim.gameOver) {
+            if (!sim.replayRevives() || !sim.revive()) break
+            continue
+        }
+        sim.step(FIXED_DT)
+    }
+    return sim
+}
+
+test('the same seed builds the same course', () => {
+    const a = new RunSimulation({ seed: SEED })
+    const b = new RunSimulation({ seed: SEED })
+    const layout = sim => sim.obstacles.map(o => [o.type, o.lane, o.z])
+    assert.deepEqual(layout(a), layout(b))
+    assert.deepEqual(a.coinList.map(c => [c.x, c.z]), b.coinList.map(c => [c.x, c.z]))
+    assert.notDeepEqual(layout(a), layout(new RunSimulation({ seed: SEED + 1 })))
+})
+
+test('two runs with the same inputs end the same way', () => {
+    const a = playScripted(SEED).toRecord()
+    const b = playScripted(SEED).toRecord()
+    assert.deepEqual(a, b)
+})
+
+test('the input log records moves, guardian tricks and revives', () => {
+    const record = playScripted(SEED).toRecord()
+    assert.equal(record.version, SIM_VERSION)
+    assert.ok(record.inputs.length > 0)
+    for (const entry of record.inputs) {
+        assert.ok(Number.isInteger(entry.t) && entry.t >= 0)
+        if (entry.a === 'guard') {
+            assert.deepEqual(Object.keys(entry).sort(), ['a', 'g', 'lane', 't'])
+            assert.ok(GUARDIAN_ACTION_TYPES.includes(entry.g))
+        } else {
+            assert.deepEqual(Object.keys(entry).sort(), ['a', 't'])
+            assert.ok(INPUT_ACTIONS.includes(entry.a) || entry.a === 'revive')
+        }
+    }
+    // Ticks never go backwards
+    assert.ok(record.inputs.every((e, i) => i === 0 || e.t >= record.inputs[i - 1].t))
+    assert.ok(record.inputs.some(e => e.a === 'guard'), 'the script should land a guardian trick')
+    assert.ok(record.inputs.some(e => e.a === 'revive'), 'the script should revive at least once')
+})
+
+test('a saved record replays to the same ending', () => {
+    const live = playScripted(SEED)
+    const record = JSON.parse(JSON.stringify(live.toRecord()))
+    const played = replay(record)
+    assert.equal(played.tick, record.ticks)
+    assert.equal(played.score, record.score)
+    assert.equal(played.coins, record.coins)
+    assert.equal(Math.floor(played.dist), record.dist)
+    assert.equal(played.revives, live.revives)
+})
+
+test('a replay ignores live input', () => {
+    const record = playScripted(SEED).toRecord()
+    const sim = new RunSimulation({ seed: record.seed, replay: record.inputs })
+    sim.begin()
+    assert.equal(sim.input('jump'), false)
+    assert.equal(sim.guardianAct('fog'), false)
+})